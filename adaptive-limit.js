@@ -0,0 +1,40 @@
+import pLimit from "p-limit";
+
+// Concurrency limit for RPC calls that adapts to the node: it halves when the
+// node answers 429 and grows by one after a run of successful calls.
+
+export function createAdaptiveLimit({
+  initial = 2,
+  min = 1,
+  max = 8,
+  increaseAfter = 25,
+} = {}) {
+  const limit = pLimit(initial);
+  let successes = 0;
+
+  const run = (fn) => limit(fn);
+
+  run.onThrottle = () => {
+    successes = 0;
+    const next = Math.max(min, Math.floor(limit.concurrency / 2));
+    if (next !== limit.concurrency) {
+      console.warn(`Lowering RPC concurrency to ${next} after a 429.`);
+      limit.concurrency = next;
+    }
+  };
+
+  run.onSuccess = () => {
+    successes++;
+    if (successes >= increaseAfter && limit.concurrency < max) {
+      successes = 0;
+      limit.concurrency += 1;
+      console.log(`Raising RPC concurrency to ${limit.concurrency}.`);
+    }
+  };
+
+  Object.defineProperty(run, "concurrency", {
+    get: () => limit.concurrency,
+  });
+
+  return run;
+}
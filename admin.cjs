@@ -0,0 +1,487 @@
+const path = require("path");
+const { execFile } = require("child_process");
+const store = require("./bot-store.cjs");
+const { formatBalance } = require("./format.cjs");
+const { decodeCity } = require("./city.cjs");
+
+// Admin commands for operating the sync (update-nfts.js) from Telegram.
+// Admins are listed in ADMIN_ROLES as "<telegram id>:<role>" pairs, e.g.
+// "12345:owner,67890:operator". Each role can do everything the roles before
+// it can:
+//   viewer   — /lastrun, /lookup, /quarantined, /duplicates, /topinviters
+//   operator — /resync, /pausesync, /resumesync
+//   owner    — /broadcast, /audit
+// Every admin command, allowed or not, and every broadcast Send/Cancel press
+// is written to the admin_audit_log collection. Other users get no reply, as
+// for any unknown command.
+
+const ROLES = ["viewer", "operator", "owner"];
+
+const LIST_LIMIT = 20;
+const DEFAULT_LIST_LIMIT = 10;
+// A resync makes a handful of RPC calls; anything longer is stuck
+const RESYNC_TIMEOUT_MS = 5 * 60 * 1000;
+const SYNC_SCRIPT = path.join(__dirname, "update-nfts.js");
+
+/**
+ * Parse ADMIN_ROLES into a Map of Telegram id -> role. Throws on an entry
+ * that is not "<id>:<role>" with a known role, so a typo fails at startup.
+ */
+function parseAdminRoles(value = "") {
+  const roles = new Map();
+  for (const entry of value.split(",").map((item) => item.trim())) {
+    if (!entry) continue;
+    const [telegramId, role] = entry.split(":").map((item) => item.trim());
+    if (!/^\d+$/.test(telegramId) || !ROLES.includes(role)) {
+      throw new Error(
+        `Invalid ADMIN_ROLES entry "${entry}"; expected <telegram id>:<${ROLES.join(
+          "|"
+        )}>.`
+      );
+    }
+    roles.set(telegramId, role);
+  }
+  return roles;
+}
+
+function formatDate(date) {
+  return date
+    ? `${date.toISOString().slice(0, 16).replace("T", " ")} UTC`
+    : "unknown";
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round((ms || 0) / 1000);
+  return seconds >= 60
+    ? `${Math.floor(seconds / 60)}m ${seconds % 60}s`
+    : `${seconds}s`;
+}
+
+function formatRun(run) {
+  const lines = [
+    `🔁 Sync run ${run._id}: ${run.status}${run.dryRun ? " (dry run)" : ""}`,
+    `Started: ${formatDate(run.startedAt)}${
+      run.resumedAt ? `, resumed ${formatDate(run.resumedAt)}` : ""
+    }`,
+  ];
+  if (run.completedAt) lines.push(`Completed: ${formatDate(run.completedAt)}`);
+  if (run.status === "running") {
+    lines.push(`Last checkpoint: ${formatDate(run.updatedAt)}`);
+  }
+  if (run.error) lines.push(`Error: ${run.error}`);
+
+  lines.push("", "Stages:");
+  for (const [name, stage] of Object.entries(run.stages || {})) {
+    const timing = stage.timing
+      ? `, ${formatDuration(stage.timing.durationMs)}, ${
+          stage.timing.rpcCalls || 0
+        } RPC calls`
+      : "";
+    lines.push(`• ${name}: ${stage.status}${timing}`);
+  }
+
+  const summary = run.summary;
+  if (summary) {
+    lines.push("");
+    if (summary.nftSync) {
+      lines.push(
+        `NFT sync: ${summary.nftSync.mode}${
+          summary.nftSync.changedNftCount !== null
+            ? `, ${summary.nftSync.changedNftCount} changed NFTs`
+            : ""
+        }${
+          summary.nftSync.fallbackReason
+            ? ` (full scan: ${summary.nftSync.fallbackReason})`
+            : ""
+        }`
+      );
+    }
+    lines.push(
+      `Wallet IDs updated: ${summary.walletIdUpdatedCount}, NFT fields updated: ${summary.nftFieldUpdatedCount}`,
+      `Quarantined: ${summary.quarantinedCount}, restored: ${summary.restoredCount}, deleted: ${summary.deletedCount} (${summary.quarantinedUserCount} in quarantine)`,
+      `Duplicate wallets: ${
+        summary.duplicateWalletAddresses?.length ?? 0
+      }, duplicate Telegram ids: ${summary.duplicateTelegramIds?.length ?? 0}`,
+      `Total SITY: ${formatBalance(
+        summary.totalSityBalance
+      )}, total population: ${formatBalance(summary.totalPopulation)}`,
+      `Notifications queued: ${summary.changeEventCount ?? 0}`
+    );
+  }
+  return lines.join("\n");
+}
+
+function formatBinding(binding) {
+  const lines = [
+    `🏙 ${binding.nftName || "Unnamed NFT"} (${binding._id})`,
+    `Wallet: ${binding.walletAddress || "none"}`,
+    `Wallet id: ${binding.walletId || "none"}`,
+    `NFT: ${typeof binding.nft === "string" ? binding.nft : "none"}`,
+    `Telegram id: ${binding.telegramId ?? "none"}`,
+    `Twitter id: ${binding.twitterId ?? "none"}`,
+    `Ref number: ${binding.refNumber ?? "none"}`,
+    `SITY balance: ${
+      typeof binding.sityBalance === "number"
+        ? formatBalance(binding.sityBalance)
+        : "not synced"
+    }${
+      binding.sityBalanceUpdatedAt
+        ? ` (updated ${formatDate(binding.sityBalanceUpdatedAt)})`
+        : ""
+    }`,
+    `Population: ${formatBalance(binding.population || 0)}`,
+    `Staked Sitizens: ${binding.stakedSitizenCount ?? "not synced"}`,
+  ];
+  if (binding.nftMissingSince) {
+    lines.push(
+      `⚠️ Quarantined since ${formatDate(binding.nftMissingSince)} (${
+        binding.nftMissingCount || 1
+      } misses)`
+    );
+  }
+  const city = decodeCity(binding);
+  if (city) {
+    lines.push(
+      `Buildings: ${
+        city.buildings
+          .map(({ name, level }) => `${name} L${level}`)
+          .join(", ") || "none"
+      }`
+    );
+    if (city.problems.length > 0) {
+      lines.push(
+        `⚠️ City NFT could not be fully read (${city.problems.length} problems)`
+      );
+    }
+  }
+  return lines.join("\n");
+}
+
+// Run update-nfts.js for one binding id; resolves with its exit error (or null)
+// and the last lines of its output
+function runResyncScript(bindingId) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [SYNC_SCRIPT, `--user=${bindingId}`],
+      {
+        cwd: __dirname,
+        timeout: RESYNC_TIMEOUT_MS,
+        maxBuffer: 10 * 1024 * 1024,
+      },
+      (error, stdout, stderr) => {
+        const output = `${stdout}${stderr}`.trim().split("\n").slice(-5);
+        resolve({ error, output: output.join("\n") });
+      }
+    );
+  });
+}
+
+/**
+ * Create the admin command handlers for a role map from parseAdminRoles.
+ * `handlers` maps each command to a handler(message, args) for server.cjs.
+ * `extraCommands` adds commands implemented elsewhere (e.g. /broadcast) as
+ * { command: { role, handler } } so they get the same checks and audit log.
+ */
+function createAdminCommands({ bot, roles, extraCommands = {} }) {
+  const resyncsInFlight = new Set();
+
+  function roleOf(telegramId) {
+    return roles.get(String(telegramId)) || null;
+  }
+
+  /**
+   * Write an admin_audit_log entry for a Telegram user, with their role (null
+   * for non-admins). `details` holds the outcome and optional error.
+   */
+  function recordAction(telegramId, command, args, details) {
+    return store.recordAdminAction({
+      telegramId: String(telegramId),
+      role: roleOf(telegramId),
+      command,
+      args,
+      ...details,
+    });
+  }
+
+  /**
+   * Whether a Telegram user has `role` or a higher one.
+   */
+  function hasRole(telegramId, role) {
+    const callerRole = roleOf(telegramId);
+    return (
+      callerRole !== null && ROLES.indexOf(callerRole) >= ROLES.indexOf(role)
+    );
+  }
+
+  async function lastRun(message) {
+    const [{ latest, completed }, pause] = await Promise.all([
+      store.getLatestSyncRuns(),
+      store.getSyncPause(),
+    ]);
+    const sections = [latest ? formatRun(latest) : "No sync runs yet."];
+    if (completed) {
+      sections.push(
+        `Last completed run: ${completed._id} at ${formatDate(
+          completed.completedAt
+        )}`
+      );
+    }
+    if (pause) {
+      sections.push(
+        `⏸ Scheduled sync paused by ${pause.pausedBy} since ${formatDate(
+          pause.pausedAt
+        )}${pause.reason ? `: ${pause.reason}` : ""}`
+      );
+    }
+    await bot.sendMessage(message.chat.id, sections.join("\n\n"));
+  }
+
+  async function lookup(message, args) {
+    if (!args[0]) {
+      await bot.sendMessage(
+        message.chat.id,
+        "Usage: /lookup <wallet address | wallet id | NFT id | Telegram id | Twitter id>"
+      );
+      return "usage";
+    }
+    const found = await store.findBindingsByIdentifier(args[0]);
+    await bot.sendMessage(
+      message.chat.id,
+      found.length > 0
+        ? found.map(formatBinding).join("\n\n")
+        : `No binding found for ${args[0]}.`
+    );
+    return `${found.length} found`;
+  }
+
+  async function quarantined(message) {
+    const { entries, total } = await store.getQuarantinedBindings(LIST_LIMIT);
+    const lines = [`⚠️ Quarantined bindings: ${total}`];
+    for (const binding of entries) {
+      lines.push(
+        `• ${binding.walletAddress} (${
+          binding.nftName || "no NFT name"
+        }), since ${formatDate(binding.nftMissingSince)}, ${
+          binding.nftMissingCount || 1
+        } misses`
+      );
+    }
+    if (total > entries.length) {
+      lines.push(`…and ${total - entries.length} more`);
+    }
+    await bot.sendMessage(message.chat.id, lines.join("\n"));
+  }
+
+  async function topInviters(message, args) {
+    const requested = parseInt(args[0], 10);
+    const limit =
+      requested > 0 ? Math.min(requested, LIST_LIMIT) : DEFAULT_LIST_LIMIT;
+    const counts = await store.getReferralCounts(limit);
+    const lines = ["🤝 Top inviters"];
+    counts.forEach(({ inviterTelegramId, count }, i) => {
+      lines.push(`${i + 1}. ${inviterTelegramId}: ${count} invited`);
+    });
+    if (counts.length === 0)
+      lines.push("Nobody has joined through an invite yet.");
+    await bot.sendMessage(message.chat.id, lines.join("\n"));
+  }
+
+  async function duplicates(message) {
+    const [wallets, telegramIds] = await Promise.all([
+      store.findDuplicateBindings("walletAddress", LIST_LIMIT),
+      store.findDuplicateBindings("telegramId", LIST_LIMIT),
+    ]);
+    const describe = (title, groups) => [
+      `${title}: ${groups.length === 0 ? "none" : ""}`.trim(),
+      ...groups.map(
+        (group) =>
+          `• ${group._id} — ${group.count} bindings: ${group.bindingIds.join(
+            ", "
+          )}`
+      ),
+    ];
+    await bot.sendMessage(
+      message.chat.id,
+      [
+        ...describe("Duplicate wallet addresses", wallets),
+        "",
+        ...describe("Duplicate Telegram ids", telegramIds),
+      ].join("\n")
+    );
+  }
+
+  async function resync(message, args) {
+    const chatId = message.chat.id;
+    const identifier = args[0];
+    if (!identifier) {
+      await bot.sendMessage(
+        chatId,
+        "Usage: /resync <wallet address | wallet id | NFT id | Telegram id | Twitter id>"
+      );
+      return "usage";
+    }
+    // The script refuses these too; checking here gives a clearer reply
+    const [pause, liveRun] = await Promise.all([
+      store.getSyncPause(),
+      store.findLiveSyncRun(),
+    ]);
+    if (pause) {
+      await bot.sendMessage(chatId, "⏸ The sync is paused; /resumesync first.");
+      return "paused";
+    }
+    if (liveRun) {
+      await bot.sendMessage(
+        chatId,
+        `Sync run ${liveRun._id} is in progress; try again when it finishes.`
+      );
+      return "sync running";
+    }
+    const [binding] = await store.findBindingsByIdentifier(identifier, 1);
+    if (!binding) {
+      await bot.sendMessage(chatId, `No binding found for ${identifier}.`);
+      return "not found";
+    }
+    // The script is given the binding id, so it resyncs exactly this binding
+    // whichever field the identifier matched
+    const bindingId = String(binding._id);
+    if (resyncsInFlight.has(bindingId)) {
+      await bot.sendMessage(chatId, `A resync of ${identifier} is running.`);
+      return "already running";
+    }
+
+    resyncsInFlight.add(bindingId);
+    await bot.sendMessage(chatId, `🔄 Resyncing ${identifier}…`);
+    // Not awaited: the update queue should not wait minutes for the script,
+    // nor retry it if it fails
+    runResyncScript(bindingId)
+      .then(async ({ error, output }) => {
+        const updated = await store.getBinding(bindingId);
+        await bot.sendMessage(
+          chatId,
+          error
+            ? `❌ Resync of ${identifier} failed:\n${output}`
+            : `✅ Resync of ${identifier} done.\n\n${
+                updated ? formatBinding(updated) : "The binding was deleted."
+              }`
+        );
+        await recordAction(message.from.id, "/resync", args, {
+          outcome: error ? "failed" : "completed",
+        });
+      })
+      .catch((error) =>
+        console.error(`Reporting resync of ${identifier}: ${error.message}`)
+      )
+      .finally(() => resyncsInFlight.delete(bindingId));
+    return "started";
+  }
+
+  async function pauseSync(message, args) {
+    const reason = args.join(" ") || null;
+    await store.pauseSync({ pausedBy: String(message.from.id), reason });
+    await bot.sendMessage(
+      message.chat.id,
+      "⏸ Sync paused. Scheduled runs and /resync exit until /resumesync."
+    );
+  }
+
+  async function resumeSync(message) {
+    const wasPaused = await store.resumeSync();
+    await bot.sendMessage(
+      message.chat.id,
+      wasPaused
+        ? "▶️ Scheduled sync resumed."
+        : "The scheduled sync is not paused."
+    );
+  }
+
+  async function audit(message, args) {
+    const requested = parseInt(args[0], 10);
+    const limit =
+      requested > 0 ? Math.min(requested, LIST_LIMIT) : DEFAULT_LIST_LIMIT;
+    const entries = await store.getAdminActions(limit);
+    const lines = ["📜 Recent admin actions"];
+    for (const entry of entries) {
+      lines.push(
+        `• ${formatDate(entry.createdAt)} ${entry.telegramId} (${
+          entry.role
+        }) ${[entry.command, ...entry.args].join(" ")} → ${entry.outcome}`
+      );
+    }
+    if (entries.length === 0) lines.push("None yet.");
+    await bot.sendMessage(message.chat.id, lines.join("\n"));
+  }
+
+  const commands = {
+    "/lastrun": { role: "viewer", handler: lastRun },
+    "/lookup": { role: "viewer", handler: lookup },
+    "/quarantined": { role: "viewer", handler: quarantined },
+    "/duplicates": { role: "viewer", handler: duplicates },
+    "/topinviters": { role: "viewer", handler: topInviters },
+    "/resync": { role: "operator", handler: resync },
+    "/pausesync": { role: "operator", handler: pauseSync },
+    "/resumesync": { role: "operator", handler: resumeSync },
+    "/audit": { role: "owner", handler: audit },
+    ...extraCommands,
+  };
+
+  // Check the caller's role and audit the command. A handler may return a
+  // short outcome for the log; otherwise it is "ok".
+  function guard(command, { role, handler }) {
+    return async (message, args = []) => {
+      const telegramId = message.from.id;
+      const callerRole = roleOf(telegramId);
+      if (!hasRole(telegramId, role)) {
+        await recordAction(telegramId, command, args, { outcome: "denied" });
+        // Non-admins get no reply, as for any unknown command
+        if (callerRole) {
+          await bot.sendMessage(
+            message.chat.id,
+            `⛔ ${command} needs the ${role} role; you are ${callerRole}.`
+          );
+        }
+        return;
+      }
+
+      let outcome;
+      try {
+        outcome = (await handler(message, args)) || "ok";
+      } catch (error) {
+        // Reported here rather than rethrown: the update queue would retry the
+        // update and run the command (and its audit entry) again
+        console.error(`Admin command ${command} failed: ${error.message}`);
+        await recordAction(telegramId, command, args, {
+          outcome: "error",
+          error: error.message,
+        });
+        await bot
+          .sendMessage(
+            message.chat.id,
+            `⚠️ ${command} failed: ${error.message}`
+          )
+          .catch((replyError) =>
+            console.error(`Reporting ${command} failure: ${replyError.message}`)
+          );
+        return;
+      }
+      await recordAction(telegramId, command, args, { outcome });
+    };
+  }
+
+  return {
+    hasRole,
+    /**
+     * Audit an admin action taken outside a command, e.g. a button press.
+     */
+    audit: (telegramId, command, args, outcome) =>
+      recordAction(telegramId, command, args, { outcome }),
+    handlers: Object.fromEntries(
+      Object.entries(commands).map(([command, spec]) => [
+        command,
+        guard(command, spec),
+      ])
+    ),
+  };
+}
+
+module.exports = { ROLES, parseAdminRoles, createAdminCommands };
@@ -0,0 +1,202 @@
+const store = require("./bot-store.cjs");
+const { formatBalance } = require("./format.cjs");
+const { getStakedSitizens } = require("./sitizens.cjs");
+
+const LEADERBOARD_PAGE_SIZE = 10;
+
+// Boards shown by /leaderboard, keyed by the name used in commands and buttons
+const LEADERBOARDS = {
+  balance: {
+    field: "sityBalance",
+    title: "💰 SITY balance",
+    format: formatBalance,
+  },
+  population: {
+    field: "population",
+    title: "👥 Population",
+    format: formatBalance,
+  },
+  staked: {
+    field: "stakedSitizenCount",
+    title: "🪖 Staked Sitizens",
+    format: (value) => String(value),
+  },
+};
+
+const NOT_LINKED_TEXT =
+  "Your Telegram account is not linked to a SuiCity wallet yet.\nUse /link to connect your wallet, then try /balance again.";
+
+/**
+ * Build the /balance reply for a binding.
+ */
+async function buildBalanceText(binding) {
+  const lines = [`🏙 ${binding.nftName || "Unnamed NFT"}`];
+
+  if (typeof binding.sityBalance === "number") {
+    const { rank, total } = await store.getRank(
+      "sityBalance",
+      binding.sityBalance
+    );
+    lines.push(`💰 SITY balance: ${formatBalance(binding.sityBalance)}`);
+    lines.push(`🏆 Leaderboard rank: #${rank} of ${total}`);
+  } else {
+    lines.push("💰 SITY balance: not synced yet");
+  }
+  lines.push(`👥 Population: ${formatBalance(binding.population || 0)}`);
+
+  const staked = getStakedSitizens(binding);
+  if (staked.total > 0) {
+    const breakdown = Object.entries(staked.counts)
+      .map(([name, count]) => `${name} ${count}`)
+      .join(", ");
+    lines.push(`🪖 Staked Sitizens: ${staked.total} (${breakdown})`);
+  } else {
+    lines.push("🪖 Staked Sitizens: none");
+  }
+
+  if (binding.sityBalanceUpdatedAt) {
+    const updatedAt = binding.sityBalanceUpdatedAt.toISOString().slice(0, 16);
+    lines.push(`\nLast updated: ${updatedAt.replace("T", " ")} UTC`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Handle /balance: report the caller's SITY balance, population and City NFT.
+ */
+async function handleBalanceCommand(bot, message) {
+  const chatId = message.chat.id;
+  const binding = await store.findBindingByTelegramId(message.from.id);
+  if (!binding) {
+    await bot.sendMessage(chatId, NOT_LINKED_TEXT);
+    return;
+  }
+
+  await bot.sendMessage(chatId, await buildBalanceText(binding));
+}
+
+/**
+ * Build one leaderboard page with board and page navigation buttons.
+ */
+async function buildLeaderboard(boardName, page, telegramUserId) {
+  const board = LEADERBOARDS[boardName];
+  const { entries, total } = await store.getLeaderboardPage(
+    board.field,
+    page,
+    LEADERBOARD_PAGE_SIZE
+  );
+  const pageCount = Math.max(1, Math.ceil(total / LEADERBOARD_PAGE_SIZE));
+
+  const lines = [`🏆 Leaderboard: ${board.title}`, ""];
+  if (entries.length === 0) {
+    lines.push("No ranked players yet.");
+  }
+  entries.forEach((entry, i) => {
+    const rank = page * LEADERBOARD_PAGE_SIZE + i + 1;
+    const name = entry.nftName || entry.twitterId || "Unnamed NFT";
+    const isCaller = String(entry.telegramId) === String(telegramUserId);
+    lines.push(
+      `${isCaller ? "👉 " : ""}${rank}. ${name} — ${board.format(
+        entry[board.field]
+      )}`
+    );
+  });
+
+  const binding = await store.findBindingByTelegramId(telegramUserId);
+  const value = binding?.[board.field];
+  if (typeof value === "number") {
+    const { rank } = await store.getRank(board.field, value);
+    lines.push(
+      "",
+      `Your position: #${rank} of ${total} (${board.format(value)})`
+    );
+  } else {
+    lines.push("", "Your position: not ranked");
+  }
+  lines.push(`Page ${page + 1} of ${pageCount}`);
+
+  const boardButtons = Object.entries(LEADERBOARDS).map(
+    ([name, { title }]) => ({
+      text: name === boardName ? `• ${title} •` : title,
+      callback_data: `lb:${name}:0`,
+    })
+  );
+  const pageButtons = [];
+  if (page > 0) {
+    pageButtons.push({
+      text: "◀ Prev",
+      callback_data: `lb:${boardName}:${page - 1}`,
+    });
+  }
+  if (page + 1 < pageCount) {
+    pageButtons.push({
+      text: "Next ▶",
+      callback_data: `lb:${boardName}:${page + 1}`,
+    });
+  }
+
+  return {
+    text: lines.join("\n"),
+    reply_markup: {
+      inline_keyboard: pageButtons.length
+        ? [boardButtons, pageButtons]
+        : [boardButtons],
+    },
+  };
+}
+
+/**
+ * Handle /leaderboard [balance|population|staked].
+ */
+async function handleLeaderboardCommand(bot, message, args = []) {
+  const boardName = Object.hasOwn(LEADERBOARDS, args[0]) ? args[0] : "balance";
+  const { text, reply_markup } = await buildLeaderboard(
+    boardName,
+    0,
+    message.from.id
+  );
+  await bot.sendMessage(message.chat.id, text, { reply_markup });
+}
+
+/**
+ * Handle leaderboard button presses ("lb:<board>:<page>") by editing the
+ * leaderboard message in place.
+ */
+async function handleLeaderboardCallback(bot, callbackQuery) {
+  const [, boardName, pageParam] = callbackQuery.data.split(":");
+  const page = parseInt(pageParam, 10);
+
+  if (!Object.hasOwn(LEADERBOARDS, boardName) || isNaN(page) || page < 0) {
+    await bot.telegram.call("answerCallbackQuery", {
+      callback_query_id: callbackQuery.id,
+      text: "This leaderboard button is no longer valid.",
+    });
+    return;
+  }
+
+  const { text, reply_markup } = await buildLeaderboard(
+    boardName,
+    page,
+    callbackQuery.from.id
+  );
+  await bot.telegram.call("answerCallbackQuery", {
+    callback_query_id: callbackQuery.id,
+  });
+  await bot.telegram
+    .call("editMessageText", {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id,
+      text,
+      reply_markup,
+    })
+    .catch((error) => {
+      // Pressing the current page again leaves the message unchanged
+      if (!/message is not modified/i.test(error.description)) throw error;
+    });
+}
+
+module.exports = {
+  handleBalanceCommand,
+  handleLeaderboardCommand,
+  handleLeaderboardCallback,
+};
@@ -0,0 +1,1014 @@
+const { MongoClient, ObjectId } = require("mongodb");
+require("dotenv").config();
+
+// Shared MongoDB access for the bot. Uses the same database as update-nfts.js
+// so bot state lives next to the wallet bindings.
+const uri = process.env.MONGODB_URI;
+const DB_NAME = "twitter_bindings";
+
+// Telegram stops redelivering an update after a day; keep ids a little longer.
+const PROCESSED_UPDATE_TTL_SECONDS = 3 * 24 * 60 * 60;
+const DUPLICATE_KEY_ERROR = 11000;
+// Delivered or dropped change events are kept this long, then removed by TTL
+const CHANGE_EVENT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const FINAL_EVENT_STATUSES = ["sent", "skipped", "undeliverable"];
+// A wallet link holds its lock for a few queries; a lock left by a stopped bot
+// is removed by TTL after this long
+const WALLET_LINK_LOCK_MS = 60 * 1000;
+
+// Numeric binding fields the leaderboard can rank by
+const LEADERBOARD_FIELDS = ["sityBalance", "population", "stakedSitizenCount"];
+// Users quarantined by the sync (City NFT not found) are left off the leaderboard
+const RANKED_FILTER = { nftMissingSince: { $exists: false } };
+
+const client = new MongoClient(uri);
+let database = null;
+
+/**
+ * Connect to MongoDB and make sure the bot collections are indexed.
+ */
+async function connect() {
+  if (database) return database;
+
+  console.log("Connecting to MongoDB...");
+  await client.connect();
+  database = client.db(DB_NAME);
+  console.log("Connected to MongoDB successfully.");
+
+  await botUsers().createIndex({ chatId: 1 }, { unique: true });
+  await botUsers().createIndex({ telegramUserId: 1 });
+  await bindings().createIndex({ telegramId: 1 });
+  for (const field of LEADERBOARD_FIELDS) {
+    await bindings().createIndex({ [field]: -1 });
+  }
+  await bindings().createIndex({ walletAddress: 1 });
+  await linkNonces().createIndex({ nonce: 1 }, { unique: true });
+  await linkNonces().createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await walletLinkLocks().createIndex(
+    { expiresAt: 1 },
+    { expireAfterSeconds: 0 }
+  );
+  await referrals().createIndex({ inviteeTelegramId: 1 }, { unique: true });
+  await referrals().createIndex({ inviterTelegramId: 1, createdAt: -1 });
+  await processedUpdates().createIndex({ updateId: 1 }, { unique: true });
+  await processedUpdates().createIndex({ status: 1 });
+  await processedUpdates().createIndex(
+    { receivedAt: 1 },
+    { expireAfterSeconds: PROCESSED_UPDATE_TTL_SECONDS }
+  );
+  await changeEvents().createIndex({ key: 1 }, { unique: true });
+  await changeEvents().createIndex({ status: 1, createdAt: 1 });
+  await changeEvents().createIndex({ status: 1, telegramId: 1 });
+  await changeEvents().createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await broadcasts().createIndex({ status: 1, createdAt: 1 });
+  await broadcastDeliveries().createIndex(
+    { broadcastId: 1, chatId: 1 },
+    { unique: true }
+  );
+  await broadcastDeliveries().createIndex({ broadcastId: 1, status: 1 });
+  await adminAuditLog().createIndex({ createdAt: -1 });
+
+  return database;
+}
+
+/**
+ * Close the MongoDB connection.
+ */
+async function close() {
+  if (!database) return;
+  await client.close();
+  database = null;
+  console.log("MongoDB connection closed.");
+}
+
+function getDatabase() {
+  if (!database) {
+    throw new Error("MongoDB is not connected. Call connect() first.");
+  }
+  return database;
+}
+
+function botUsers() {
+  return getDatabase().collection("bot_users");
+}
+
+function bindings() {
+  return getDatabase().collection("bindings");
+}
+
+/**
+ * Find the wallet binding for a Telegram user. Bindings created by the web app
+ * store telegramId as a string, older ones as a number, so match either.
+ */
+async function findBindingByTelegramId(telegramId) {
+  return bindings().findOne({
+    telegramId: { $in: telegramIdValues(telegramId) },
+  });
+}
+
+// telegramId values a binding may hold for one Telegram user
+function telegramIdValues(telegramId) {
+  return [String(telegramId), Number(telegramId)];
+}
+
+function linkNonces() {
+  return getDatabase().collection("link_nonces");
+}
+
+/**
+ * Store a single-use wallet link nonce for a Telegram user. Any earlier
+ * unused nonce for the same user is replaced.
+ */
+async function createLinkNonce(telegramId, nonce, expiresAt) {
+  await linkNonces().deleteMany({ telegramId: String(telegramId) });
+  await linkNonces().insertOne({
+    nonce,
+    telegramId: String(telegramId),
+    expiresAt,
+    createdAt: new Date(),
+  });
+}
+
+/**
+ * Take a nonce issued to a Telegram user. Returns null if it does not exist,
+ * belongs to someone else or has expired; a nonce can only be taken once.
+ */
+async function consumeLinkNonce(telegramId, nonce) {
+  return linkNonces().findOneAndDelete({
+    nonce,
+    telegramId: String(telegramId),
+    expiresAt: { $gt: new Date() },
+  });
+}
+
+function walletLinkLocks() {
+  return getDatabase().collection("wallet_link_locks");
+}
+
+/**
+ * Link a wallet to a Telegram account, keeping the pairing one-to-one.
+ *
+ * Fails with "wallet_taken" if another Telegram account owns the wallet, or
+ * "link_in_progress" while another link of the same wallet is being written.
+ * A wallet previously linked to this Telegram account is detached, so each
+ * account ends up with exactly one wallet. Creates the binding when the wallet
+ * has none yet; the sync fills in the NFT fields on its next run.
+ * `walletAddress` must be normalized; bindings holding it in another form are
+ * matched and rewritten to it.
+ */
+async function linkWalletToTelegram(walletAddress, telegramId) {
+  // walletAddress cannot be unique (the sync reports duplicates), so links of
+  // one wallet are serialized with a lock keyed by the address
+  try {
+    await walletLinkLocks().insertOne({
+      _id: walletAddress,
+      telegramId: String(telegramId),
+      expiresAt: new Date(Date.now() + WALLET_LINK_LOCK_MS),
+    });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return { ok: false, reason: "link_in_progress" };
+    }
+    throw error;
+  }
+  try {
+    return await writeWalletLink(walletAddress, telegramId);
+  } finally {
+    await walletLinkLocks().deleteOne({ _id: walletAddress });
+  }
+}
+
+// Older bindings may hold a wallet address in another case or without its
+// leading zeros. These are the spellings of a normalized address
+// ("0x" + 64 lowercase hex digits) to look for, matched case-insensitively
+// with ADDRESS_COLLATION.
+function walletAddressForms(walletAddress) {
+  const hex = walletAddress.slice(2);
+  const forms = [walletAddress];
+  for (let i = 0; i < hex.length - 1 && hex[i] === "0"; i++) {
+    forms.push(`0x${hex.slice(i + 1)}`);
+  }
+  return forms;
+}
+
+const ADDRESS_COLLATION = { locale: "en", strength: 2 };
+
+async function writeWalletLink(walletAddress, telegramId) {
+  const now = new Date();
+  const ownIds = telegramIdValues(telegramId);
+  const sameWallet = {
+    walletAddress: { $in: walletAddressForms(walletAddress) },
+  };
+  const options = { collation: ADDRESS_COLLATION };
+
+  const takenBy = await bindings().findOne(
+    {
+      ...sameWallet,
+      telegramId: { $exists: true, $nin: [null, ...ownIds] },
+    },
+    options
+  );
+  if (takenBy) return { ok: false, reason: "wallet_taken" };
+
+  const existing = await bindings().findOne(sameWallet, options);
+  if (existing) {
+    // Also stores the normalized address on bindings that had another form
+    const result = await bindings().updateMany(
+      {
+        ...sameWallet,
+        $or: [
+          { telegramId: { $exists: false } },
+          { telegramId: { $in: [null, ...ownIds] } },
+        ],
+      },
+      {
+        $set: {
+          walletAddress,
+          telegramId: String(telegramId),
+          telegramLinkedAt: now,
+        },
+      },
+      options
+    );
+    if (result.matchedCount === 0) return { ok: false, reason: "wallet_taken" };
+  } else {
+    await bindings().insertOne({
+      walletAddress,
+      telegramId: String(telegramId),
+      telegramLinkedAt: now,
+      createdAt: now,
+    });
+  }
+
+  const detached = await bindings().updateMany(
+    { telegramId: { $in: ownIds }, walletAddress: { $ne: walletAddress } },
+    { $unset: { telegramId: "" }, $set: { telegramUnlinkedAt: now } }
+  );
+  if (detached.modifiedCount > 0) {
+    console.log(
+      `Detached ${detached.modifiedCount} previous wallet(s) from Telegram user ${telegramId}`
+    );
+  }
+
+  return { ok: true, binding: await bindings().findOne({ walletAddress }) };
+}
+
+function assertLeaderboardField(field) {
+  if (!LEADERBOARD_FIELDS.includes(field)) {
+    throw new Error(`Unknown leaderboard field "${field}".`);
+  }
+}
+
+/**
+ * Leaderboard position for a value of a numeric binding field
+ * (sityBalance, population or stakedSitizenCount).
+ */
+async function getRank(field, value) {
+  assertLeaderboardField(field);
+  const [higher, total] = await Promise.all([
+    bindings().countDocuments({ ...RANKED_FILTER, [field]: { $gt: value } }),
+    bindings().countDocuments({
+      ...RANKED_FILTER,
+      [field]: { $type: "number" },
+    }),
+  ]);
+  return { rank: higher + 1, total };
+}
+
+/**
+ * One page of bindings ordered by a numeric field, highest first.
+ */
+async function getLeaderboardPage(field, page, pageSize) {
+  assertLeaderboardField(field);
+  const filter = { ...RANKED_FILTER, [field]: { $type: "number" } };
+  const [entries, total] = await Promise.all([
+    bindings()
+      .find(filter, {
+        projection: { nftName: 1, twitterId: 1, telegramId: 1, [field]: 1 },
+      })
+      .sort({ [field]: -1, _id: 1 })
+      .skip(page * pageSize)
+      .limit(pageSize)
+      .toArray(),
+    bindings().countDocuments(filter),
+  ]);
+  return { entries, total };
+}
+
+function processedUpdates() {
+  return getDatabase().collection("processed_updates");
+}
+
+/**
+ * Claim a Telegram update for processing and keep its payload until handled.
+ * Returns false if the update was already claimed, so redeliveries are skipped.
+ */
+async function claimUpdate(update) {
+  try {
+    await processedUpdates().insertOne({
+      updateId: update.update_id,
+      update,
+      status: "pending",
+      receivedAt: new Date(),
+    });
+    return true;
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) return false;
+    throw error;
+  }
+}
+
+/**
+ * Mark a claimed update as handled ("done") or given up on ("failed").
+ */
+async function completeUpdate(updateId, status, error) {
+  await processedUpdates().updateOne(
+    { updateId },
+    {
+      $set: {
+        status,
+        completedAt: new Date(),
+        error: error ? error.response?.data || error.message : null,
+      },
+      $unset: { update: "" },
+    }
+  );
+}
+
+/**
+ * Updates that were claimed but never completed, e.g. after a crash.
+ */
+async function getPendingUpdates() {
+  const docs = await processedUpdates()
+    .find({ status: "pending" })
+    .sort({ updateId: 1 })
+    .toArray();
+  return docs.map((doc) => doc.update);
+}
+
+function botState() {
+  return getDatabase().collection("bot_state");
+}
+
+/**
+ * Next update_id to request in polling mode, or null before the first poll.
+ */
+async function getPollingOffset() {
+  const state = await botState().findOne({ _id: "polling" });
+  return state?.offset ?? null;
+}
+
+async function savePollingOffset(offset) {
+  await botState().updateOne(
+    { _id: "polling" },
+    { $set: { offset, updatedAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Record that a chat talked to the bot. Creates the bot user on first contact
+ * and refreshes the profile fields and lastSeenAt on every later one.
+ * Returns { user, isNew } with the stored user after the update; isNew is
+ * true only for the first contact.
+ */
+async function recordBotUser(message, startParam) {
+  const now = new Date();
+  const from = message.from || {};
+  const chatId = message.chat.id;
+
+  const result = await botUsers().findOneAndUpdate(
+    { chatId },
+    {
+      $set: {
+        telegramUserId: from.id ?? null,
+        username: from.username ?? null,
+        languageCode: from.language_code ?? null,
+        lastSeenAt: now,
+        lastStartParam: startParam ?? null,
+      },
+      // Talking to the bot again means the chat is reachable again
+      $unset: { blockedAt: "", blockedReason: "" },
+      $setOnInsert: {
+        chatId,
+        firstSeenAt: now,
+        startParam: startParam ?? null,
+      },
+    },
+    { upsert: true, returnDocument: "after", includeResultMetadata: true }
+  );
+
+  return {
+    user: result.value,
+    isNew: !result.lastErrorObject?.updatedExisting,
+  };
+}
+
+/**
+ * Refresh lastSeenAt and the profile fields of a known bot user on any update
+ * from them. Unknown chats are left for recordBotUser to create on /start.
+ */
+async function touchBotUser(chatId, from) {
+  await botUsers().updateOne(
+    { chatId },
+    {
+      $set: {
+        telegramUserId: from.id ?? null,
+        username: from.username ?? null,
+        languageCode: from.language_code ?? null,
+        lastSeenAt: new Date(),
+      },
+      $unset: { blockedAt: "", blockedReason: "" },
+    }
+  );
+}
+
+function referrals() {
+  return getDatabase().collection("referrals");
+}
+
+/**
+ * Store the inviter -> invitee edge for a Telegram user. Only the first
+ * referral of an invitee is kept; returns false if one already exists.
+ */
+async function recordReferral({
+  inviterTelegramId,
+  inviteeTelegramId,
+  inviteeChatId,
+  nftIndex,
+}) {
+  try {
+    await referrals().insertOne({
+      inviterTelegramId: String(inviterTelegramId),
+      inviteeTelegramId: String(inviteeTelegramId),
+      inviteeChatId,
+      nftIndex,
+      createdAt: new Date(),
+    });
+    return true;
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) return false;
+    throw error;
+  }
+}
+
+/**
+ * How many people a Telegram user has invited, in total and since a date.
+ */
+async function getReferralStats(inviterTelegramId, since) {
+  const filter = { inviterTelegramId: String(inviterTelegramId) };
+  const [total, recent] = await Promise.all([
+    referrals().countDocuments(filter),
+    referrals().countDocuments({ ...filter, createdAt: { $gte: since } }),
+  ]);
+  return { total, recent };
+}
+
+/**
+ * Invite counts per inviter, highest first.
+ */
+async function getReferralCounts(limit = 10) {
+  return referrals()
+    .aggregate([
+      { $group: { _id: "$inviterTelegramId", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, inviterTelegramId: "$_id", count: 1 } },
+    ])
+    .toArray();
+}
+
+/**
+ * Atomically mark a chat as having received the welcome card.
+ * Returns true only for the caller that set the flag, so concurrent instances
+ * never send the welcome twice.
+ */
+async function markWelcomed(chatId) {
+  const result = await botUsers().updateOne(
+    { chatId, welcomedAt: { $exists: false } },
+    { $set: { welcomedAt: new Date() } }
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Undo markWelcomed after the welcome card could not be sent.
+ */
+async function clearWelcomed(chatId) {
+  await botUsers().updateOne({ chatId }, { $unset: { welcomedAt: "" } });
+}
+
+/**
+ * Stop messaging a chat after Telegram reports it as blocked or gone.
+ */
+async function markChatBlocked(chatId, reason) {
+  await botUsers().updateOne(
+    { chatId },
+    { $set: { blockedAt: new Date(), blockedReason: reason } }
+  );
+}
+
+/**
+ * List the chat ids of every bot user we can still reach.
+ */
+async function getReachableChatIds() {
+  const users = await botUsers()
+    .find({ blockedAt: { $exists: false } }, { projection: { chatId: 1 } })
+    .toArray();
+  return users.map((user) => user.chatId);
+}
+
+function changeEvents() {
+  return getDatabase().collection("change_events");
+}
+
+function notificationPrefs() {
+  return getDatabase().collection("notification_prefs");
+}
+
+/**
+ * Stored notification preferences of a Telegram user, or null if they never
+ * changed them.
+ */
+async function getNotificationPrefs(telegramId) {
+  return notificationPrefs().findOne({ _id: String(telegramId) });
+}
+
+/**
+ * Apply a $set-style change to a user's notification preferences and return
+ * the stored preferences.
+ */
+async function updateNotificationPrefs(telegramId, changes) {
+  return notificationPrefs().findOneAndUpdate(
+    { _id: String(telegramId) },
+    {
+      $set: { ...changes, updatedAt: new Date() },
+      $setOnInsert: { createdAt: new Date() },
+    },
+    { upsert: true, returnDocument: "after" }
+  );
+}
+
+/**
+ * Take the oldest pending change event for delivery, or null if there is none.
+ * Claimed events are "processing" until setEventStatus is called.
+ */
+async function claimPendingEvent() {
+  return changeEvents().findOneAndUpdate(
+    { status: "pending" },
+    { $set: { status: "processing", claimedAt: new Date() } },
+    { sort: { createdAt: 1 }, returnDocument: "after" }
+  );
+}
+
+/**
+ * Set the status of change events. Events in a final status expire after
+ * CHANGE_EVENT_RETENTION_MS.
+ */
+async function setEventStatus(eventIds, status) {
+  const now = new Date();
+  const update = { status, statusAt: now };
+  if (FINAL_EVENT_STATUSES.includes(status)) {
+    update.expiresAt = new Date(now.getTime() + CHANGE_EVENT_RETENTION_MS);
+  }
+  await changeEvents().updateMany({ _id: { $in: eventIds } }, { $set: update });
+}
+
+/**
+ * Return events stuck in "processing" (e.g. the bot died while sending) to
+ * the pending queue.
+ */
+async function releaseStaleEvents(olderThan) {
+  const result = await changeEvents().updateMany(
+    { status: "processing", claimedAt: { $lt: olderThan } },
+    { $set: { status: "pending" } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Events held for the daily digest, oldest first.
+ */
+async function getDigestEvents() {
+  return changeEvents()
+    .find({ status: "digest" })
+    .sort({ createdAt: 1 })
+    .toArray();
+}
+
+/**
+ * Claim the daily digest for a UTC day ("2024-05-01"). Returns true only for
+ * the first caller that day, so the digest goes out once across restarts and
+ * instances.
+ */
+async function claimDigestDay(day) {
+  try {
+    const result = await botState().updateOne(
+      { _id: "notificationDigest", lastDay: { $ne: day } },
+      { $set: { lastDay: day, sentAt: new Date() } },
+      { upsert: true }
+    );
+    return result.modifiedCount === 1 || result.upsertedCount === 1;
+  } catch (error) {
+    // The upsert raced with an existing document for the same day
+    if (error.code === DUPLICATE_KEY_ERROR) return false;
+    throw error;
+  }
+}
+
+/**
+ * Of the given chat ids, keep those not marked blocked by markChatBlocked.
+ * Chats that never talked to the bot are kept; sending to them reports them.
+ */
+async function filterReachableChatIds(chatIds) {
+  const blocked = await botUsers().distinct("chatId", {
+    chatId: { $in: chatIds },
+    blockedAt: { $exists: true },
+  });
+  const blockedSet = new Set(blocked);
+  return chatIds.filter((chatId) => !blockedSet.has(chatId));
+}
+
+// Bindings whose wallet is linked to a Telegram account
+const LINKED_FILTER = { telegramId: { $exists: true, $nin: [null, ""] } };
+
+/**
+ * Telegram ids linked to a wallet holding at least `minBalance` SITY.
+ */
+async function getTelegramIdsByBalance(minBalance) {
+  return bindings().distinct("telegramId", {
+    ...LINKED_FILTER,
+    sityBalance: { $gte: minBalance },
+  });
+}
+
+/**
+ * Cursor over every binding linked to a Telegram account.
+ */
+function findLinkedBindings(projection) {
+  return bindings().find(LINKED_FILTER, { projection });
+}
+
+/**
+ * Chat ids of users who joined through an invite, optionally one inviter's.
+ */
+async function getInviteeChatIds(inviterTelegramId) {
+  return referrals().distinct(
+    "inviteeChatId",
+    inviterTelegramId ? { inviterTelegramId: String(inviterTelegramId) } : {}
+  );
+}
+
+function broadcasts() {
+  return getDatabase().collection("broadcasts");
+}
+
+function broadcastDeliveries() {
+  return getDatabase().collection("broadcast_deliveries");
+}
+
+/**
+ * Store a broadcast draft and return its id.
+ */
+async function createBroadcast(broadcast) {
+  const result = await broadcasts().insertOne({
+    ...broadcast,
+    status: "draft",
+    createdAt: new Date(),
+  });
+  return result.insertedId;
+}
+
+/**
+ * Find a broadcast by its id string (as used in callback data), or null.
+ */
+async function getBroadcast(id) {
+  if (!ObjectId.isValid(id)) return null;
+  return broadcasts().findOne({ _id: new ObjectId(id) });
+}
+
+/**
+ * Move a broadcast from one status to another. Returns the updated broadcast,
+ * or null if it was not in `fromStatus` (e.g. a confirm button pressed twice).
+ */
+async function transitionBroadcast(broadcastId, fromStatus, toStatus, fields) {
+  return broadcasts().findOneAndUpdate(
+    { _id: broadcastId, status: fromStatus },
+    { $set: { ...fields, status: toStatus, [`${toStatus}At`]: new Date() } },
+    { returnDocument: "after" }
+  );
+}
+
+/**
+ * Broadcasts that were confirmed but have not finished sending, oldest first.
+ */
+async function getActiveBroadcasts() {
+  return broadcasts()
+    .find({ status: { $in: ["queued", "sending"] } })
+    .sort({ createdAt: 1 })
+    .toArray();
+}
+
+/**
+ * Add one pending delivery per chat. Chats already queued for the broadcast
+ * are left as they are, so this can be repeated after a restart.
+ */
+async function queueBroadcastDeliveries(broadcastId, chatIds) {
+  if (chatIds.length === 0) return;
+  const now = new Date();
+  await broadcastDeliveries().bulkWrite(
+    chatIds.map((chatId) => ({
+      updateOne: {
+        filter: { broadcastId, chatId },
+        update: {
+          $setOnInsert: {
+            broadcastId,
+            chatId,
+            status: "pending",
+            createdAt: now,
+          },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+}
+
+/**
+ * Take the next pending delivery of a broadcast, or null when none are left.
+ */
+async function claimBroadcastDelivery(broadcastId) {
+  return broadcastDeliveries().findOneAndUpdate(
+    { broadcastId, status: "pending" },
+    {
+      $set: { status: "processing", claimedAt: new Date() },
+      $inc: { attempts: 1 },
+    },
+    { returnDocument: "after" }
+  );
+}
+
+/**
+ * Record the outcome of a delivery: "delivered", "blocked" or "failed".
+ */
+async function completeBroadcastDelivery(deliveryId, status, error) {
+  await broadcastDeliveries().updateOne(
+    { _id: deliveryId },
+    {
+      $set: {
+        status,
+        error: error ? error.message : null,
+        completedAt: new Date(),
+      },
+    }
+  );
+}
+
+/**
+ * Return failed deliveries tried fewer than `maxAttempts` times to the pending
+ * queue. Resolves with the number returned.
+ */
+async function retryBroadcastDeliveries(broadcastId, maxAttempts) {
+  const result = await broadcastDeliveries().updateMany(
+    { broadcastId, status: "failed", attempts: { $lt: maxAttempts } },
+    { $set: { status: "pending" } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Return deliveries left "processing" by a stopped bot to the pending queue.
+ */
+async function releaseBroadcastDeliveries(broadcastId) {
+  await broadcastDeliveries().updateMany(
+    { broadcastId, status: "processing" },
+    { $set: { status: "pending" } }
+  );
+}
+
+/**
+ * Number of deliveries of a broadcast in each status.
+ */
+async function countBroadcastDeliveries(broadcastId) {
+  const groups = await broadcastDeliveries()
+    .aggregate([
+      { $match: { broadcastId } },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ])
+    .toArray();
+  return Object.fromEntries(groups.map((group) => [group._id, group.count]));
+}
+
+function syncRuns() {
+  return getDatabase().collection("sync_runs");
+}
+
+/**
+ * The sync run holding an unexpired lease (see sync-runs.js), or null.
+ */
+async function findLiveSyncRun() {
+  return syncRuns().findOne({
+    status: "running",
+    leaseUntil: { $gt: new Date() },
+  });
+}
+
+/**
+ * The most recent sync run, and the most recent completed one if different.
+ */
+async function getLatestSyncRuns() {
+  const [latest, completed] = await Promise.all([
+    syncRuns().findOne({}, { sort: { startedAt: -1 } }),
+    syncRuns().findOne({ status: "completed" }, { sort: { startedAt: -1 } }),
+  ]);
+  return {
+    latest,
+    completed:
+      completed && latest && completed._id.equals(latest._id)
+        ? null
+        : completed,
+  };
+}
+
+/**
+ * Find a binding by its id string, or null.
+ */
+async function getBinding(id) {
+  if (!ObjectId.isValid(id)) return null;
+  return bindings().findOne({ _id: new ObjectId(id) });
+}
+
+/**
+ * Bindings matching a wallet address, walletId, NFT id, Telegram id or
+ * Twitter id.
+ */
+async function findBindingsByIdentifier(identifier, limit = 5) {
+  const clauses = [
+    { walletAddress: identifier },
+    { walletId: identifier },
+    { nft: identifier },
+    { twitterId: identifier },
+  ];
+  if (/^\d+$/.test(identifier)) {
+    clauses.push({ telegramId: { $in: telegramIdValues(identifier) } });
+  }
+  return bindings().find({ $or: clauses }).limit(limit).toArray();
+}
+
+/**
+ * Bindings quarantined by the sync (City NFT not found), longest first.
+ */
+async function getQuarantinedBindings(limit) {
+  const filter = { nftMissingSince: { $exists: true } };
+  const [entries, total] = await Promise.all([
+    bindings()
+      .find(filter, {
+        projection: {
+          walletAddress: 1,
+          telegramId: 1,
+          nftName: 1,
+          nftMissingSince: 1,
+          nftMissingCount: 1,
+        },
+      })
+      .sort({ nftMissingSince: 1 })
+      .limit(limit)
+      .toArray(),
+    bindings().countDocuments(filter),
+  ]);
+  return { entries, total };
+}
+
+/**
+ * Values of `field` shared by more than one binding, with the binding ids.
+ */
+async function findDuplicateBindings(field, limit) {
+  return bindings()
+    .aggregate([
+      { $match: { [field]: { $exists: true, $nin: [null, ""] } } },
+      // Telegram ids are stored as strings or numbers; group them together
+      {
+        $group: {
+          _id:
+            field === "telegramId" ? { $toString: "$telegramId" } : `$${field}`,
+          count: { $sum: 1 },
+          bindingIds: { $push: "$_id" },
+        },
+      },
+      { $match: { count: { $gt: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+    ])
+    .toArray();
+}
+
+/**
+ * The pause set with /pausesync, or null if the scheduled sync may run.
+ */
+async function getSyncPause() {
+  return botState().findOne({ _id: "syncPause" });
+}
+
+async function pauseSync({ pausedBy, reason }) {
+  await botState().updateOne(
+    { _id: "syncPause" },
+    { $set: { pausedBy, reason, pausedAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Lift the sync pause. Returns false if the sync was not paused.
+ */
+async function resumeSync() {
+  const result = await botState().deleteOne({ _id: "syncPause" });
+  return result.deletedCount === 1;
+}
+
+function adminAuditLog() {
+  return getDatabase().collection("admin_audit_log");
+}
+
+/**
+ * Record an admin command: who ran it, with which role and arguments, and
+ * whether it was allowed and succeeded.
+ */
+async function recordAdminAction(entry) {
+  await adminAuditLog().insertOne({ ...entry, createdAt: new Date() });
+}
+
+async function getAdminActions(limit) {
+  return adminAuditLog().find().sort({ createdAt: -1 }).limit(limit).toArray();
+}
+
+module.exports = {
+  connect,
+  close,
+  getDatabase,
+  botUsers,
+  bindings,
+  findBindingByTelegramId,
+  linkNonces,
+  createLinkNonce,
+  consumeLinkNonce,
+  linkWalletToTelegram,
+  LEADERBOARD_FIELDS,
+  getRank,
+  getLeaderboardPage,
+  processedUpdates,
+  claimUpdate,
+  completeUpdate,
+  getPendingUpdates,
+  botState,
+  getPollingOffset,
+  savePollingOffset,
+  recordBotUser,
+  touchBotUser,
+  markWelcomed,
+  clearWelcomed,
+  referrals,
+  recordReferral,
+  getReferralStats,
+  getReferralCounts,
+  markChatBlocked,
+  getReachableChatIds,
+  changeEvents,
+  notificationPrefs,
+  getNotificationPrefs,
+  updateNotificationPrefs,
+  claimPendingEvent,
+  setEventStatus,
+  releaseStaleEvents,
+  getDigestEvents,
+  claimDigestDay,
+  filterReachableChatIds,
+  getTelegramIdsByBalance,
+  findLinkedBindings,
+  getInviteeChatIds,
+  broadcasts,
+  broadcastDeliveries,
+  createBroadcast,
+  getBroadcast,
+  transitionBroadcast,
+  getActiveBroadcasts,
+  queueBroadcastDeliveries,
+  claimBroadcastDelivery,
+  completeBroadcastDelivery,
+  retryBroadcastDeliveries,
+  releaseBroadcastDeliveries,
+  countBroadcastDeliveries,
+  syncRuns,
+  findLiveSyncRun,
+  getLatestSyncRuns,
+  getBinding,
+  findBindingsByIdentifier,
+  getQuarantinedBindings,
+  findDuplicateBindings,
+  getSyncPause,
+  pauseSync,
+  resumeSync,
+  adminAuditLog,
+  recordAdminAction,
+  getAdminActions,
+};
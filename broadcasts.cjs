@@ -0,0 +1,465 @@
+const store = require("./bot-store.cjs");
+const { getDefaultDecoder } = require("./sitizens.cjs");
+const { formatBalance } = require("./format.cjs");
+
+// Admin announcements. An admin writes the announcement as a normal message
+// (text, or a photo with a caption) and replies to it with
+// /broadcast <segment>. Trailing lines like "[Play](https://t.me/...)" become
+// URL buttons; several on one line, separated by "|", share a row. The bot
+// shows a preview, and once confirmed queues one delivery per chat in MongoDB
+// and sends them at a fixed rate, picking up where it left off after a
+// restart. A delivery that fails for a reason other than a blocked chat gets
+// another try once the rest have been sent. The admin gets a
+// delivered/blocked/failed report at the end.
+
+const USAGE_TEXT = [
+  "📣 Reply to the message you want to send with /broadcast <segment>.",
+  "",
+  "Segments:",
+  "all — everyone who started the bot",
+  "balance:<amount> — linked wallets holding at least <amount> SITY",
+  "stakers:<type> — linked wallets staking a Sitizen type, e.g. stakers:general",
+  "invited — users who joined through an invite",
+  "invited:<telegram id> — users invited by one player",
+  "",
+  "End the message with lines like [Play](https://t.me/...) to add buttons; separate buttons on one row with |.",
+].join("\n");
+
+const BUTTON_PATTERN = /^\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)$/;
+// How long to wait before retrying after the sender hit an error
+const RETRY_DELAY_MS = 60000;
+// Tries per chat before a delivery that keeps failing counts as failed
+const MAX_DELIVERY_ATTEMPTS = 2;
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function findSitizenType(name) {
+  const wanted = name.toLowerCase();
+  return getDefaultDecoder().registry.types.find(
+    (type) => type.key === wanted || type.name.toLowerCase() === wanted
+  );
+}
+
+/**
+ * Parse a segment argument ("all", "balance:1000", "stakers:general",
+ * "invited", "invited:<telegram id>"), or return null if it is not one.
+ */
+function parseSegment(argument = "") {
+  const [kind, value] = argument.toLowerCase().split(":");
+  switch (kind) {
+    case "all":
+      return value === undefined ? { kind } : null;
+    case "balance": {
+      const minBalance = Number(value);
+      return value && Number.isFinite(minBalance) && minBalance >= 0
+        ? { kind, minBalance }
+        : null;
+    }
+    case "stakers": {
+      const type = value && findSitizenType(value);
+      return type ? { kind, typeKey: type.key } : null;
+    }
+    case "invited":
+      if (value === undefined) return { kind, inviterTelegramId: null };
+      return /^\d+$/.test(value) ? { kind, inviterTelegramId: value } : null;
+    default:
+      return null;
+  }
+}
+
+function describeSegment(segment) {
+  switch (segment.kind) {
+    case "all":
+      return "everyone";
+    case "balance":
+      return `holders of at least ${formatBalance(segment.minBalance)} SITY`;
+    case "stakers": {
+      const type = findSitizenType(segment.typeKey);
+      return `${type ? type.name : segment.typeKey} stakers`;
+    }
+    case "invited":
+      return segment.inviterTelegramId
+        ? `users invited by ${segment.inviterTelegramId}`
+        : "invited users";
+    default:
+      return segment.kind;
+  }
+}
+
+/**
+ * Chat ids in a segment, without duplicates or chats known to be blocked.
+ * Private chat ids are Telegram user ids, so linked bindings map directly.
+ */
+async function resolveSegment(segment) {
+  let chatIds;
+  switch (segment.kind) {
+    case "all":
+      return store.getReachableChatIds();
+    case "balance":
+      chatIds = (await store.getTelegramIdsByBalance(segment.minBalance)).map(
+        Number
+      );
+      break;
+    case "stakers": {
+      chatIds = [];
+      const decoder = getDefaultDecoder();
+      const cursor = store.findLinkedBindings({
+        telegramId: 1,
+        "nftData.content.fields.extra_nested_data": 1,
+        "nftData.data.content.fields.extra_nested_data": 1,
+      });
+      for await (const binding of cursor) {
+        if (decoder.decode(binding).counts[segment.typeKey] > 0) {
+          chatIds.push(Number(binding.telegramId));
+        }
+      }
+      break;
+    }
+    case "invited":
+      chatIds = await store.getInviteeChatIds(segment.inviterTelegramId);
+      break;
+    default:
+      throw new Error(`Unknown broadcast segment "${segment.kind}".`);
+  }
+  const unique = [...new Set(chatIds.filter(Number.isSafeInteger))];
+  return store.filterReachableChatIds(unique);
+}
+
+/**
+ * Split trailing button lines off a message text. Entities past the
+ * remaining text are dropped with the buttons.
+ */
+function splitButtons(text, entities = []) {
+  const lines = text.split("\n");
+  const buttons = [];
+  while (lines.length > 1) {
+    const matches = lines[lines.length - 1]
+      .split("|")
+      .map((cell) => cell.trim().match(BUTTON_PATTERN));
+    if (matches.some((match) => !match)) break;
+    buttons.unshift(matches.map(([, label, url]) => ({ text: label, url })));
+    lines.pop();
+  }
+  const body = lines.join("\n").trimEnd();
+  return {
+    text: body,
+    entities: entities.filter(
+      (entity) => entity.offset + entity.length <= body.length
+    ),
+    buttons,
+  };
+}
+
+/**
+ * Build the broadcast content from the admin's message, or null if it is
+ * neither text nor a photo.
+ */
+function parseBroadcastMessage(message) {
+  if (message.photo) {
+    const { text, entities, buttons } = splitButtons(
+      message.caption || "",
+      message.caption_entities
+    );
+    return {
+      content: {
+        photo: message.photo[message.photo.length - 1].file_id,
+        caption: text,
+        caption_entities: entities,
+      },
+      buttons,
+    };
+  }
+  if (message.text) {
+    const { text, entities, buttons } = splitButtons(
+      message.text,
+      message.entities
+    );
+    if (!text) return null;
+    return { content: { text, entities }, buttons };
+  }
+  return null;
+}
+
+/**
+ * Create the /broadcast handlers and the sender that delivers confirmed
+ * broadcasts, `messagesPerSecond` at most. Only Telegram users for whom
+ * `isAdmin(telegramId)` is true can broadcast; Send/Cancel presses are
+ * recorded with `audit(telegramId, command, args, outcome)`.
+ */
+function createBroadcaster({ bot, isAdmin, audit, messagesPerSecond = 10 }) {
+  const interval = 1000 / messagesPerSecond;
+  let running = null;
+  let retryTimer = null;
+  let rerun = false;
+  let stopping = false;
+
+  // Send the broadcast to one chat; throws a TelegramApiError on failure
+  function deliver(chatId, { content, buttons }) {
+    const reply_markup = buttons.length
+      ? { inline_keyboard: buttons }
+      : undefined;
+    if (content.photo) {
+      return bot.telegram.call("sendPhoto", {
+        chat_id: chatId,
+        ...content,
+        reply_markup,
+      });
+    }
+    return bot.telegram.call("sendMessage", {
+      chat_id: chatId,
+      ...content,
+      reply_markup,
+    });
+  }
+
+  /**
+   * Handle /broadcast <segment>, sent as a reply to the announcement.
+   */
+  async function handleBroadcastCommand(message, args = []) {
+    if (!isAdmin(message.from.id)) return;
+    const chatId = message.chat.id;
+
+    const segment = parseSegment(args[0]);
+    const draft = message.reply_to_message
+      ? parseBroadcastMessage(message.reply_to_message)
+      : null;
+    if (!segment || !draft) {
+      await bot.sendMessage(chatId, USAGE_TEXT);
+      return;
+    }
+
+    // The preview is sent exactly as players will see it, so Telegram
+    // rejects a bad button or caption here rather than for every player
+    try {
+      await deliver(chatId, draft);
+    } catch (error) {
+      await bot.sendMessage(
+        chatId,
+        `⚠️ Telegram rejected the broadcast: ${
+          error.description || error.message
+        }`
+      );
+      return;
+    }
+
+    const audience = await resolveSegment(segment);
+    const broadcastId = await store.createBroadcast({
+      ...draft,
+      segment,
+      adminChatId: chatId,
+      adminTelegramId: String(message.from.id),
+    });
+    await bot.sendMessage(
+      chatId,
+      `📣 Preview above.\nSegment: ${describeSegment(segment)}\nRecipients: ${
+        audience.length
+      }\n\nSend it?`,
+      {
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: "✅ Send", callback_data: `bc:send:${broadcastId}` },
+              { text: "✖ Cancel", callback_data: `bc:cancel:${broadcastId}` },
+            ],
+          ],
+        },
+      }
+    );
+  }
+
+  /**
+   * Handle the preview buttons ("bc:send:<id>", "bc:cancel:<id>"). Every
+   * press is audited under /broadcast.
+   */
+  async function handleBroadcastCallback(callbackQuery) {
+    const [, action, id] = callbackQuery.data.split(":");
+    const telegramId = callbackQuery.from.id;
+    if (!isAdmin(telegramId)) {
+      await audit(telegramId, "/broadcast", [action, id], "denied");
+      await bot.telegram.call("answerCallbackQuery", {
+        callback_query_id: callbackQuery.id,
+      });
+      return;
+    }
+
+    const broadcast = await store.getBroadcast(id);
+    const updated =
+      broadcast && (action === "send" || action === "cancel")
+        ? await store.transitionBroadcast(
+            broadcast._id,
+            "draft",
+            action === "send" ? "queued" : "cancelled",
+            { confirmedBy: String(telegramId) }
+          )
+        : null;
+    await audit(
+      telegramId,
+      "/broadcast",
+      [action, id],
+      updated ? updated.status : "stale"
+    );
+
+    if (!updated) {
+      await bot.telegram.call("answerCallbackQuery", {
+        callback_query_id: callbackQuery.id,
+        text: "This broadcast was already sent or cancelled.",
+      });
+      return;
+    }
+
+    await bot.telegram.call("answerCallbackQuery", {
+      callback_query_id: callbackQuery.id,
+    });
+    await bot.telegram.call("editMessageText", {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id,
+      text:
+        action === "send"
+          ? `📣 Sending to ${describeSegment(
+              updated.segment
+            )}. You will get a report when it finishes.`
+          : "✖ Broadcast cancelled.",
+    });
+    if (action === "send") pump();
+  }
+
+  async function sendReport(broadcast) {
+    const counts = broadcast.counts;
+    const minutes = Math.round(
+      (broadcast.doneAt - broadcast.sendingAt) / 60000
+    );
+    await bot.sendMessage(
+      broadcast.adminChatId,
+      [
+        "📣 Broadcast finished",
+        `Segment: ${describeSegment(broadcast.segment)}`,
+        `Recipients: ${broadcast.audienceSize}`,
+        `✅ Delivered: ${counts.delivered || 0}`,
+        `🚫 Blocked: ${counts.blocked || 0}`,
+        `⚠️ Failed: ${counts.failed || 0}`,
+        `⏱ Took ${minutes} min`,
+      ].join("\n")
+    );
+  }
+
+  async function runBroadcast(broadcast) {
+    if (broadcast.status === "queued") {
+      // Resolved again here so a restart before "sending" queues everyone
+      const chatIds = await resolveSegment(broadcast.segment);
+      await store.queueBroadcastDeliveries(broadcast._id, chatIds);
+      broadcast = await store.transitionBroadcast(
+        broadcast._id,
+        "queued",
+        "sending",
+        { audienceSize: chatIds.length }
+      );
+      if (!broadcast) return;
+      console.log(
+        `Broadcast ${broadcast._id}: sending to ${chatIds.length} chats.`
+      );
+    }
+
+    // Only this process sends, so anything still claimed was interrupted
+    await store.releaseBroadcastDeliveries(broadcast._id);
+    while (!stopping) {
+      const delivery = await store.claimBroadcastDelivery(broadcast._id);
+      if (!delivery) {
+        // Failed deliveries get another try after everyone else
+        const retried = await store.retryBroadcastDeliveries(
+          broadcast._id,
+          MAX_DELIVERY_ATTEMPTS
+        );
+        if (retried === 0) break;
+        continue;
+      }
+
+      const startedAt = Date.now();
+      let status = "delivered";
+      let failure = null;
+      try {
+        await deliver(delivery.chatId, broadcast);
+      } catch (error) {
+        status = error.permanent ? "blocked" : "failed";
+        failure = error;
+      }
+      await store.completeBroadcastDelivery(delivery._id, status, failure);
+      await delay(Math.max(0, interval - (Date.now() - startedAt)));
+    }
+    if (stopping) return;
+
+    const finished = await store.transitionBroadcast(
+      broadcast._id,
+      "sending",
+      "done",
+      { counts: await store.countBroadcastDeliveries(broadcast._id) }
+    );
+    if (finished) {
+      console.log(`Broadcast ${broadcast._id} finished.`);
+      await sendReport(finished);
+    }
+  }
+
+  async function runActiveBroadcasts() {
+    // A broadcast confirmed while this runs is picked up by the next pass
+    let active = await store.getActiveBroadcasts();
+    while (active.length > 0 && !stopping) {
+      for (const broadcast of active) {
+        if (stopping) return;
+        await runBroadcast(broadcast);
+      }
+      active = await store.getActiveBroadcasts();
+    }
+  }
+
+  /**
+   * Send every confirmed broadcast, one at a time. Safe to call while a
+   * previous call is still sending: the sender then makes another pass once
+   * it finishes, so a broadcast confirmed at the end of a pass is not missed.
+   */
+  function pump() {
+    if (stopping) return running;
+    if (running) {
+      rerun = true;
+      return running;
+    }
+    clearTimeout(retryTimer);
+    rerun = false;
+    running = runActiveBroadcasts()
+      .catch((error) => {
+        console.error(`Broadcast sender failed: ${error.message}`);
+        retryTimer = setTimeout(pump, RETRY_DELAY_MS);
+      })
+      .finally(() => {
+        running = null;
+        if (rerun) pump();
+      });
+    return running;
+  }
+
+  /**
+   * Resume broadcasts interrupted by a restart.
+   */
+  function start() {
+    pump();
+  }
+
+  /**
+   * Stop after the delivery in flight; the rest resume on the next start.
+   */
+  async function stop() {
+    stopping = true;
+    clearTimeout(retryTimer);
+    await running;
+  }
+
+  return {
+    handleBroadcastCommand,
+    handleBroadcastCallback,
+    start,
+    stop,
+  };
+}
+
+module.exports = { parseSegment, parseBroadcastMessage, createBroadcaster };
@@ -0,0 +1,130 @@
+import { getStakedSitizens } from "./sitizens.cjs";
+
+// Change events the sync emits for players: their City NFT moved, Sitizens
+// were staked or unstaked, or their SITY balance crossed a threshold. Events
+// are stored in `change_events` with status "pending"; the bot delivers them
+// to players who opted in (see notifications.cjs).
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Collect events during a sync run and write them with `flush()` once the
+ * changes they describe are written. In a dry run nothing is stored.
+ * `balanceThresholds` are the SITY amounts whose crossing is reported.
+ */
+export function createChangeEvents({
+  database,
+  runId,
+  dryRun,
+  balanceThresholds,
+}) {
+  const events = database.collection("change_events");
+  let buffer = [];
+  let recorded = 0;
+  let indexesReady = false;
+
+  function record(user, type, data) {
+    // Only players with a linked Telegram account can be notified
+    if (!user.telegramId) return;
+    buffer.push({
+      // The same run never reports the same change twice, even when a batch
+      // is processed again after a resume
+      key: `${runId}:${type}:${user._id}`,
+      type,
+      telegramId: String(user.telegramId),
+      userId: String(user._id),
+      walletAddress: user.walletAddress ?? null,
+      data,
+      runId,
+      status: "pending",
+      createdAt: new Date(),
+    });
+  }
+
+  /**
+   * The binding's City NFT changed, or (nft null) is no longer in the wallet.
+   */
+  function nftMoved(user, { previousNft, nft, nftName }) {
+    record(user, "nft_moved", {
+      previousNft: previousNft ?? null,
+      nft: nft ?? null,
+      nftName: nftName ?? null,
+    });
+  }
+
+  /**
+   * Compare staked Sitizens before and after an nftData refresh.
+   */
+  function sitizensChanged(user, newNftData) {
+    const before = getStakedSitizens(user);
+    const after = getStakedSitizens({ nftData: newNftData });
+    const changes = {};
+    for (const name of new Set([
+      ...Object.keys(before.counts),
+      ...Object.keys(after.counts),
+    ])) {
+      const delta = (after.counts[name] || 0) - (before.counts[name] || 0);
+      if (delta !== 0) changes[name] = delta;
+    }
+    if (Object.keys(changes).length === 0) return;
+    record(user, "sitizens_changed", {
+      changes,
+      previousTotal: before.total,
+      total: after.total,
+    });
+  }
+
+  /**
+   * Report the furthest threshold a balance moved past, if any. Users without
+   * a previously stored balance are skipped so the first sync is quiet.
+   */
+  function balanceMoved(user, sityBalance) {
+    const previous = user.sityBalance;
+    if (typeof previous !== "number" || previous === sityBalance) return;
+    const crossed = balanceThresholds.filter(
+      (threshold) => previous < threshold !== sityBalance < threshold
+    );
+    if (crossed.length === 0) return;
+    const direction = sityBalance > previous ? "up" : "down";
+    record(user, "balance_threshold", {
+      previous,
+      sityBalance,
+      direction,
+      threshold:
+        direction === "up" ? Math.max(...crossed) : Math.min(...crossed),
+    });
+  }
+
+  async function flush() {
+    const pending = buffer;
+    buffer = [];
+    if (pending.length === 0) return;
+    if (dryRun) {
+      console.log(`[dry run] Skipping ${pending.length} change events.`);
+      recorded += pending.length;
+      return;
+    }
+
+    if (!indexesReady) {
+      await events.createIndex({ key: 1 }, { unique: true });
+      await events.createIndex({ status: 1, createdAt: 1 });
+      indexesReady = true;
+    }
+    try {
+      const result = await events.insertMany(pending, { ordered: false });
+      recorded += result.insertedCount;
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+      recorded += error.result?.insertedCount ?? 0;
+    }
+    console.log(`Stored ${pending.length} change events.`);
+  }
+
+  return {
+    nftMoved,
+    sitizensChanged,
+    balanceMoved,
+    flush,
+    count: () => recorded,
+  };
+}
@@ -0,0 +1,197 @@
+import fs from "fs/promises";
+
+// Collects every change a dry run would make to the bindings collection.
+// Writes are skipped and the collected plan is saved to disk instead, so a run
+// can be previewed without touching MongoDB. Later stages read bindings
+// through applyPending() to see them as the earlier stages would have left
+// them. In a real run nothing is collected.
+
+// Keep the plan readable: nftData is the full on-chain object, so only its
+// identity is recorded.
+function summarizeValue(field, value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (field === "nftData" && value) {
+    const data = value.data || value;
+    return {
+      objectId: data.objectId ?? null,
+      version: data.version ?? null,
+      digest: data.digest ?? null,
+    };
+  }
+  return value;
+}
+
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export function createChangePlan({ dryRun = false } = {}) {
+  const entries = [];
+  // userId -> { deleted, set, unset }, the raw changes skipped by the dry run
+  const pending = new Map();
+
+  function pendingFor(user) {
+    const userId = String(user._id);
+    if (!pending.has(userId)) {
+      pending.set(userId, { deleted: false, set: {}, unset: new Set() });
+    }
+    return pending.get(userId);
+  }
+
+  /**
+   * Record the field changes an update document ($set/$unset) makes to a user.
+   * Fields whose value does not change are left out.
+   */
+  function recordUpdate(user, update, reason) {
+    if (!dryRun) return;
+    const userPending = pendingFor(user);
+    for (const [field, value] of Object.entries(update.$set || {})) {
+      userPending.set[field] = value;
+      userPending.unset.delete(field);
+    }
+    for (const field of Object.keys(update.$unset || {})) {
+      delete userPending.set[field];
+      userPending.unset.add(field);
+    }
+
+    const changes = [];
+    for (const [field, value] of Object.entries(update.$set || {})) {
+      const oldValue = summarizeValue(field, user[field]);
+      const newValue = summarizeValue(field, value);
+      if (!isSameValue(oldValue, newValue)) {
+        changes.push({ field, oldValue, newValue });
+      }
+    }
+    for (const field of Object.keys(update.$unset || {})) {
+      if (user[field] !== undefined) {
+        changes.push({
+          field,
+          oldValue: summarizeValue(field, user[field]),
+          newValue: null,
+        });
+      }
+    }
+    if (changes.length === 0) return;
+
+    entries.push({
+      userId: String(user._id),
+      walletAddress: user.walletAddress ?? null,
+      action: "update",
+      reason,
+      changes,
+    });
+  }
+
+  function recordDelete(user, reason) {
+    if (!dryRun) return;
+    pendingFor(user).deleted = true;
+    entries.push({
+      userId: String(user._id),
+      walletAddress: user.walletAddress ?? null,
+      action: "delete",
+      reason,
+      changes: [],
+    });
+  }
+
+  /**
+   * The user as the changes recorded so far would leave it, or null if it
+   * would be deleted. Returns the user unchanged outside a dry run.
+   */
+  function applyPending(user) {
+    const userPending = pending.get(String(user._id));
+    if (!userPending) return user;
+    if (userPending.deleted) return null;
+    const applied = { ...user, ...userPending.set };
+    for (const field of userPending.unset) delete applied[field];
+    return applied;
+  }
+
+  async function bulkWrite(collection, operations) {
+    if (operations.length === 0) return null;
+    if (dryRun) {
+      console.log(`[dry run] Skipping bulk write of ${operations.length} ops.`);
+      return null;
+    }
+    return collection.bulkWrite(operations);
+  }
+
+  async function deleteOne(collection, filter) {
+    if (dryRun) {
+      console.log(`[dry run] Skipping delete of ${JSON.stringify(filter)}.`);
+      return null;
+    }
+    return collection.deleteOne(filter);
+  }
+
+  /**
+   * Counts of planned changes by action, reason and field.
+   */
+  function summarize() {
+    const byReason = {};
+    const byField = {};
+    let updates = 0;
+    let deletes = 0;
+    for (const entry of entries) {
+      if (entry.action === "delete") deletes++;
+      else updates++;
+      byReason[entry.reason] = (byReason[entry.reason] || 0) + 1;
+      for (const { field } of entry.changes) {
+        byField[field] = (byField[field] || 0) + 1;
+      }
+    }
+    return {
+      usersChanged: new Set(entries.map((entry) => entry.userId)).size,
+      updates,
+      deletes,
+      byReason,
+      byField,
+    };
+  }
+
+  function formatSummary() {
+    const summary = summarize();
+    const lines = [
+      `Dry run change plan (${new Date().toISOString()})`,
+      "",
+      `Users affected: ${summary.usersChanged}`,
+      `Updates: ${summary.updates}`,
+      `Deletes: ${summary.deletes}`,
+      "",
+      "By reason:",
+      ...Object.entries(summary.byReason).map(
+        ([reason, count]) => `- ${reason}: ${count}`
+      ),
+      "",
+      "By field:",
+      ...Object.entries(summary.byField).map(
+        ([field, count]) => `- ${field}: ${count}`
+      ),
+    ];
+    return lines.join("\n");
+  }
+
+  async function writeFiles(planPath, summaryPath) {
+    await fs.writeFile(
+      planPath,
+      JSON.stringify({ summary: summarize(), entries }, null, 2),
+      "utf8"
+    );
+    await fs.writeFile(summaryPath, formatSummary() + "\n", "utf8");
+    console.log(`Wrote change plan to ${planPath} and ${summaryPath}.`);
+  }
+
+  return {
+    dryRun,
+    entries,
+    recordUpdate,
+    recordDelete,
+    applyPending,
+    bulkWrite,
+    deleteOne,
+    summarize,
+    formatSummary,
+    writeFiles,
+  };
+}
@@ -0,0 +1,99 @@
+// Decoder for a City NFT's on-chain state (nftData.content.fields) into a
+// typed city model.
+//
+// extra_nested_data[0] holds one level per building, by index, and
+// extra_nested_data[1] the staked Sitizen counts (decoded by sitizens.cjs).
+// Which index is which building comes from a model: city-model.json, or the
+// file named by CITY_MODEL_FILE.
+//
+// Population is not derived here: it accrues over time in the game, so the
+// building levels alone do not determine it.
+
+const fs = require("fs");
+const { getNftFields, getDefaultDecoder } = require("./sitizens.cjs");
+
+let defaultModel = null;
+
+// Read lazily so CITY_MODEL_FILE from .env is seen by ESM scripts
+function getDefaultCityModel() {
+  if (!defaultModel) {
+    const file = process.env.CITY_MODEL_FILE;
+    defaultModel = file
+      ? JSON.parse(fs.readFileSync(file, "utf8"))
+      : require("./city-model.json");
+  }
+  return defaultModel;
+}
+
+function parseLevel(value) {
+  if (typeof value === "number") {
+    return Number.isInteger(value) && value >= 0 ? value : null;
+  }
+  return typeof value === "string" && /^\d+$/.test(value)
+    ? Number(value)
+    : null;
+}
+
+/**
+ * Decode a binding's City NFT.
+ *
+ * Returns null when the binding has no nftData, otherwise
+ * { objectId, name, walletId, buildings, stakedSitizens, problems } where
+ * buildings lists
+ * { index, key, name, level } for every entry of the level vector (unknown
+ * indexes get key null) and problems lists { reason, ... } for anything that
+ * could not be read.
+ */
+function decodeCity(binding, model = getDefaultCityModel()) {
+  const fields = getNftFields(binding);
+  if (!fields) return null;
+
+  const problems = [];
+  const buildingsByIndex = new Map(
+    model.buildings.map((building) => [building.index, building])
+  );
+
+  const extraNestedData = fields.extra_nested_data;
+  const levels = Array.isArray(extraNestedData) ? extraNestedData[0] : null;
+  const buildings = [];
+  if (Array.isArray(levels)) {
+    levels.forEach((value, index) => {
+      const level = parseLevel(value);
+      if (level === null) {
+        problems.push({ reason: "invalid_level", index, value });
+        return;
+      }
+      const building = buildingsByIndex.get(index);
+      if (!building) problems.push({ reason: "unknown_building", index });
+      buildings.push({
+        index,
+        key: building?.key ?? null,
+        name: building?.name ?? `Unknown building #${index}`,
+        level,
+      });
+    });
+  } else {
+    problems.push({ reason: "missing_building_levels" });
+  }
+
+  const staked = getDefaultDecoder().decode(binding);
+  problems.push(...staked.problems);
+
+  return {
+    objectId: binding.nftData?.data?.objectId ?? fields.id?.id ?? null,
+    name: fields.name ?? null,
+    walletId: fields.wallet ?? null,
+    buildings,
+    stakedSitizens: {
+      total: staked.total,
+      counts: staked.counts,
+      unknown: staked.unknown,
+    },
+    problems,
+  };
+}
+
+module.exports = {
+  getDefaultCityModel,
+  decodeCity,
+};
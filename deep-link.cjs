@@ -0,0 +1,152 @@
+const crypto = require("crypto");
+
+// Signed invite deep links shared by /start and the Mini App startapp links.
+//
+// Format: "v1" + base64url(payload || mac) where payload is
+//   nftIndex   uint32
+//   telegramId uint64
+//   expiresAt  uint32 (unix seconds)
+// and mac is the first 12 bytes of HMAC-SHA256(secret, "invite:" + payload).
+// That is 40 characters, well within Telegram's 64-character limit for start
+// parameters, and only uses the [A-Za-z0-9_-] characters Telegram allows.
+//
+// Legacy "index_<nftIndex>_telegram_<telegramId>" links are still accepted,
+// unsigned, until the configured migration date.
+
+const VERSION_PREFIX = "v1";
+const PAYLOAD_LENGTH = 16;
+const MAC_LENGTH = 12;
+const MAX_START_PARAM_LENGTH = 64;
+const DEFAULT_TTL_SECONDS = 30 * 24 * 60 * 60;
+const LEGACY_INVITE_PATTERN = /^index_(\d+)_telegram_(\d+)$/;
+// Largest values the payload fields can hold
+const MAX_NFT_INDEX = 0xffffffffn;
+const MAX_TELEGRAM_ID = 0xffffffffffffffffn;
+
+// Whether an invite's ids fit the signed payload
+function fitsPayload(nftIndex, telegramId) {
+  return (
+    /^\d+$/.test(String(nftIndex)) &&
+    /^\d+$/.test(String(telegramId)) &&
+    BigInt(nftIndex) <= MAX_NFT_INDEX &&
+    BigInt(telegramId) <= MAX_TELEGRAM_ID
+  );
+}
+
+function sign(secret, payload) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update("invite:")
+    .update(payload)
+    .digest()
+    .subarray(0, MAC_LENGTH);
+}
+
+/**
+ * Create an invite link codec.
+ *
+ * `legacyUntil` is the Date after which legacy links are rejected; leave it
+ * unset to reject them right away. Throws if the secret is missing or
+ * `legacyUntil` is not a valid date, so bad configuration fails at startup.
+ */
+function createDeepLinkCodec({
+  secret,
+  ttlSeconds = DEFAULT_TTL_SECONDS,
+  legacyUntil = null,
+}) {
+  if (!secret) {
+    throw new Error("A deep link secret is required to sign invite links.");
+  }
+  if (legacyUntil && isNaN(legacyUntil.getTime())) {
+    throw new Error("The legacy invite link cut-off is not a valid date.");
+  }
+
+  /**
+   * Encode and sign an invite for an NFT index and inviter Telegram id.
+   */
+  function encodeInvite({ nftIndex, telegramId, expiresAt }) {
+    if (!fitsPayload(nftIndex, telegramId)) {
+      throw new Error(
+        `Invite ids out of range: NFT index ${nftIndex}, Telegram id ${telegramId}`
+      );
+    }
+    const expiry = expiresAt ?? new Date(Date.now() + ttlSeconds * 1000);
+
+    const payload = Buffer.alloc(PAYLOAD_LENGTH);
+    payload.writeUInt32BE(Number(nftIndex), 0);
+    payload.writeBigUInt64BE(BigInt(telegramId), 4);
+    payload.writeUInt32BE(Math.floor(expiry.getTime() / 1000), 12);
+
+    const param =
+      VERSION_PREFIX +
+      Buffer.concat([payload, sign(secret, payload)]).toString("base64url");
+    if (param.length > MAX_START_PARAM_LENGTH) {
+      throw new Error(`Invite link parameter is too long: ${param.length}`);
+    }
+    return param;
+  }
+
+  /**
+   * Decode a start parameter. Returns { ok: true, invite } or
+   * { ok: false, reason } with reason one of "malformed", "bad_signature",
+   * "expired" or "legacy_disabled".
+   */
+  function decodeInvite(param, now = new Date()) {
+    if (typeof param !== "string" || param.length > MAX_START_PARAM_LENGTH) {
+      return { ok: false, reason: "malformed" };
+    }
+
+    const legacy = param.match(LEGACY_INVITE_PATTERN);
+    if (legacy) {
+      if (!legacyUntil || now > legacyUntil) {
+        return { ok: false, reason: "legacy_disabled" };
+      }
+      // Legacy links are re-issued signed, so they must fit the payload
+      if (!fitsPayload(legacy[1], legacy[2])) {
+        return { ok: false, reason: "malformed" };
+      }
+      return {
+        ok: true,
+        invite: {
+          nftIndex: legacy[1],
+          telegramId: legacy[2],
+          expiresAt: legacyUntil,
+          legacy: true,
+        },
+      };
+    }
+
+    if (!param.startsWith(VERSION_PREFIX)) {
+      return { ok: false, reason: "malformed" };
+    }
+    const bytes = Buffer.from(param.slice(VERSION_PREFIX.length), "base64url");
+    if (bytes.length !== PAYLOAD_LENGTH + MAC_LENGTH) {
+      return { ok: false, reason: "malformed" };
+    }
+
+    const payload = bytes.subarray(0, PAYLOAD_LENGTH);
+    const mac = bytes.subarray(PAYLOAD_LENGTH);
+    if (!crypto.timingSafeEqual(mac, sign(secret, payload))) {
+      return { ok: false, reason: "bad_signature" };
+    }
+
+    const expiresAt = new Date(payload.readUInt32BE(12) * 1000);
+    if (now > expiresAt) {
+      return { ok: false, reason: "expired" };
+    }
+
+    return {
+      ok: true,
+      invite: {
+        nftIndex: String(payload.readUInt32BE(0)),
+        telegramId: String(payload.readBigUInt64BE(4)),
+        expiresAt,
+        legacy: false,
+      },
+    };
+  }
+
+  return { encodeInvite, decodeInvite };
+}
+
+module.exports = { createDeepLinkCodec };
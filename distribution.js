@@ -0,0 +1,115 @@
+import { formatBalance, formatShare } from "./format.cjs";
+
+// Distribution statistics for the balance report: how SITY balances and
+// population are spread across bindings. A holder is a binding with a
+// positive value, as in the snapshot comparison (snapshots.js).
+
+// Bucket lower bounds; each bucket runs up to the next bound
+export const BALANCE_BUCKETS = [0, 1, 1e3, 1e4, 1e5, 1e6, 1e7];
+export const POPULATION_BUCKETS = [0, 1, 100, 1e3, 1e4, 1e5, 1e6];
+
+const PERCENTILES = [10, 25, 50, 75, 90, 99];
+
+// Linear interpolation between the closest ranks of an ascending array
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// 0 when everyone holds the same, approaching 1 when one holder has it all
+function gini(sorted, total) {
+  const n = sorted.length;
+  if (n === 0 || total === 0) return 0;
+  const weighted = sorted.reduce((sum, value, i) => sum + (i + 1) * value, 0);
+  return (2 * weighted) / (n * total) - (n + 1) / n;
+}
+
+function topShare(descending, count, total) {
+  if (total === 0) return 0;
+  const top = descending.slice(0, count).reduce((sum, value) => sum + value, 0);
+  return top / total;
+}
+
+// Bucket bounds are round numbers: 1k rather than 1.00k
+function formatBound(value) {
+  return value >= 1e3 ? formatBalance(value).replace(".00", "") : String(value);
+}
+
+function bucketLabel(min, max) {
+  if (min === 0 && max === 1) return "under 1";
+  return max === null
+    ? `${formatBound(min)}+`
+    : `${formatBound(min)} - ${formatBound(max)}`;
+}
+
+/**
+ * Statistics for a list of numbers: counts, total, mean, percentiles (p50 is
+ * the median), the share held by the top 10 and top 100, the Gini coefficient,
+ * and how many values fall in each bucket of `bucketBounds`.
+ */
+export function describeDistribution(values, bucketBounds) {
+  const sorted = values
+    .map((value) => Number(value) || 0)
+    .sort((a, b) => a - b);
+  const descending = [...sorted].reverse();
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+
+  const buckets = bucketBounds.map((min, i) => ({
+    label: bucketLabel(min, bucketBounds[i + 1] ?? null),
+    min,
+    max: bucketBounds[i + 1] ?? null,
+    count: 0,
+    total: 0,
+  }));
+  for (const value of sorted) {
+    const bucket = buckets.findLast((candidate) => value >= candidate.min);
+    if (!bucket) continue;
+    bucket.count++;
+    bucket.total += value;
+  }
+
+  return {
+    count: sorted.length,
+    nonZeroCount: sorted.filter((value) => value > 0).length,
+    total,
+    mean: sorted.length > 0 ? total / sorted.length : 0,
+    median: percentile(sorted, 50),
+    percentiles: Object.fromEntries(
+      PERCENTILES.map((p) => [`p${p}`, percentile(sorted, p)])
+    ),
+    top10Share: topShare(descending, 10, total),
+    top100Share: topShare(descending, 100, total),
+    gini: gini(sorted, total),
+    buckets,
+  };
+}
+
+/**
+ * Plain-text report section for one distribution.
+ */
+export function formatDistribution(title, stats) {
+  return [
+    `${title}:`,
+    `- Holders: ${stats.nonZeroCount} (of ${stats.count} bindings)`,
+    `- Mean: ${formatBalance(stats.mean)}, Median: ${formatBalance(
+      stats.median
+    )}`,
+    `- Percentiles: ${Object.entries(stats.percentiles)
+      .map(([name, value]) => `${name} ${formatBalance(value)}`)
+      .join(", ")}`,
+    `- Top 10 Share: ${formatShare(
+      stats.top10Share
+    )}, Top 100 Share: ${formatShare(stats.top100Share)}`,
+    `- Gini Coefficient: ${stats.gini.toFixed(3)}`,
+    "- Buckets:",
+    ...stats.buckets.map(
+      (bucket) =>
+        `  - ${bucket.label}: ${bucket.count} bindings, ${formatShare(
+          stats.total > 0 ? bucket.total / stats.total : 0
+        )} of total`
+    ),
+  ].join("\n");
+}
@@ -0,0 +1,78 @@
+const express = require("express");
+const bodyParser = require("body-parser");
+
+// Minimal stand-in for the Telegram Bot API, for running the bot in polling
+// mode without network access. Start it with `node fake-telegram-api.cjs`, then
+// run the bot with BOT_MODE=polling and TELEGRAM_API_BASE_URL=http://localhost:8081.
+//
+//   POST /updates   inject an update (update_id is assigned if missing)
+//   GET  /sent      list every method call the bot made, e.g. sendMessage
+
+const PORT = process.env.FAKE_TELEGRAM_PORT || 8081;
+
+const app = express();
+app.use(bodyParser.json());
+
+const updates = [];
+const sent = [];
+const waiters = new Set();
+let nextUpdateId = 1;
+let messageId = 1;
+
+app.post("/updates", (req, res) => {
+  const update = { update_id: nextUpdateId++, ...req.body };
+  nextUpdateId = Math.max(nextUpdateId, update.update_id + 1);
+  updates.push(update);
+  waiters.forEach((wake) => wake());
+  res.json(update);
+});
+
+app.get("/sent", (req, res) => res.json(sent));
+
+app.post("/bot:token/getUpdates", async (req, res) => {
+  const offset = req.body.offset || 0;
+  const limit = req.body.limit || 100;
+  const timeoutMs = (req.body.timeout || 0) * 1000;
+
+  // Telegram forgets updates older than the requested offset
+  while (updates.length > 0 && updates[0].update_id < offset) {
+    updates.shift();
+  }
+
+  if (updates.length === 0 && timeoutMs > 0) {
+    await new Promise((resolve) => {
+      const wake = () => {
+        waiters.delete(wake);
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(wake, timeoutMs);
+      waiters.add(wake);
+      req.on("close", wake);
+    });
+  }
+
+  res.json({ ok: true, result: updates.slice(0, limit) });
+});
+
+app.post("/bot:token/:method", (req, res) => {
+  const call = { method: req.params.method, payload: req.body, at: new Date() };
+  sent.push(call);
+  console.log(`${call.method}:`, JSON.stringify(call.payload));
+
+  if (call.method.startsWith("send")) {
+    return res.json({
+      ok: true,
+      result: {
+        message_id: messageId++,
+        chat: { id: req.body.chat_id },
+        date: Math.floor(Date.now() / 1000),
+      },
+    });
+  }
+  return res.json({ ok: true, result: true });
+});
+
+app.listen(PORT, () =>
+  console.log(`Fake Telegram API running on port ${PORT}`)
+);
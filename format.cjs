@@ -0,0 +1,35 @@
+// Balance helpers shared by the bot (server.cjs) and the sync (update-nfts.js).
+// Balances are stored and compared as numbers; these strings are for display
+// only and must never be parsed back.
+
+// SITY wallet balances are stored on chain as an integer of 1/1000 SITY
+const SITY_DECIMALS = 3;
+
+function formatBalance(balance) {
+  if (balance >= 1e12) return (balance / 1e12).toFixed(2) + "t";
+  if (balance >= 1e9) return (balance / 1e9).toFixed(2) + "b";
+  if (balance >= 1e6) return (balance / 1e6).toFixed(2) + "m";
+  if (balance >= 1e3) return (balance / 1e3).toFixed(2) + "k";
+  return balance.toFixed(2);
+}
+
+/**
+ * Convert a raw on-chain SITY amount (integer or integer string) to SITY.
+ */
+function sityFromRaw(raw) {
+  const digits = BigInt(raw ?? 0)
+    .toString()
+    .padStart(SITY_DECIMALS + 1, "0");
+  return Number(
+    `${digits.slice(0, -SITY_DECIMALS)}.${digits.slice(-SITY_DECIMALS)}`
+  );
+}
+
+/**
+ * Format a fraction (0.032) as a percentage ("3.20%").
+ */
+function formatShare(fraction) {
+  return `${(fraction * 100).toFixed(2)}%`;
+}
+
+module.exports = { SITY_DECIMALS, formatBalance, sityFromRaw, formatShare };
@@ -0,0 +1,220 @@
+// Change feed for City NFTs, used by the incremental mode of update-nfts.js.
+//
+// The position in the feed is persisted in `sync_cursors` as two cursors: one
+// over transactions calling the NFT module and one over events it emits. Each
+// incremental run reads everything after those cursors and returns the ids of
+// the City NFTs the transactions created, mutated or transferred.
+//
+// Transfers made with a plain TransferObjects command never call the NFT
+// module, so neither query sees them. That, and full nodes pruning old
+// transactions, is why the cursor counts as stale once the last full scan is
+// older than `maxAgeMs` and the caller falls back to a full scan.
+
+const CURSOR_ID = "cityNft";
+const PAGE_SIZE = 50;
+
+// sui_multiGetTransactionBlocks accepts at most 50 digests per request
+const MULTI_GET_TX_BATCH_SIZE = 50;
+
+/**
+ * `rpc(method, params)` calls a SuiClient method (with the caller's retries and
+ * concurrency limit). Nothing is written to MongoDB in a dry run.
+ */
+export function createNftChangeFeed({
+  database,
+  rpc,
+  nftType,
+  maxAgeMs,
+  dryRun = false,
+}) {
+  const cursors = database.collection("sync_cursors");
+  const [packageId, module] = nftType.split("::");
+  const transactionFilter = { MoveFunction: { package: packageId, module } };
+  const eventFilter = { MoveEventModule: { package: packageId, module } };
+
+  async function loadCursor() {
+    return cursors.findOne({ _id: CURSOR_ID });
+  }
+
+  /**
+   * Why the stored cursor cannot be used, or null if an incremental run can
+   * start from it.
+   */
+  function staleReason(cursor, now = new Date()) {
+    if (!cursor?.updatedAt) return "no cursor stored";
+    if (!cursor.transactions && !cursor.events) return "cursor is empty";
+    // Incremental runs move the cursor forward, so age is measured from the
+    // last full scan, which also catches what the feed cannot see
+    if (!cursor.lastFullScanAt) return "no full scan recorded";
+    const ageMs = now - cursor.lastFullScanAt;
+    if (ageMs > maxAgeMs) {
+      return `last full scan is ${Math.round(ageMs / 3600000)}h old`;
+    }
+    return null;
+  }
+
+  // The newest transaction and event right now, so a scan starting here
+  // misses nothing that happens after it
+  async function getHead() {
+    const [transactions, events] = await Promise.all([
+      rpc("queryTransactionBlocks", {
+        filter: transactionFilter,
+        order: "descending",
+        limit: 1,
+      }),
+      rpc("queryEvents", { query: eventFilter, order: "descending", limit: 1 }),
+    ]);
+    return {
+      transactions: transactions.data[0]?.digest ?? null,
+      events: events.data[0]?.id ?? null,
+    };
+  }
+
+  async function saveCursor(update) {
+    if (dryRun) return;
+    await cursors.updateOne(
+      { _id: CURSOR_ID },
+      { $set: { ...update, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Record the feed head before a full scan starts. A resumed run reuses the
+   * head captured when it first started, so changes made while it was down
+   * are picked up by the next incremental run.
+   */
+  async function beginFullScan(runId) {
+    const stored = await loadCursor();
+    if (stored?.pending?.runId === runId) return stored.pending;
+
+    const pending = { runId, ...(await getHead()), capturedAt: new Date() };
+    if (!dryRun) {
+      await cursors.updateOne(
+        { _id: CURSOR_ID },
+        { $set: { pending } },
+        { upsert: true }
+      );
+    }
+    return pending;
+  }
+
+  /**
+   * After a completed full scan, continue the feed from the captured head.
+   */
+  async function finishFullScan(runId, pending) {
+    if (dryRun || pending?.runId !== runId) return;
+    await cursors.updateOne(
+      { _id: CURSOR_ID },
+      {
+        $set: {
+          transactions: pending.transactions,
+          events: pending.events,
+          updatedAt: pending.capturedAt,
+          lastFullScanAt: pending.capturedAt,
+        },
+        $unset: { pending: "" },
+      },
+      { upsert: true }
+    );
+  }
+
+  // Page through a query from `cursor`, returning the items and the cursor of
+  // the last one. Only the first request can fail because of the cursor
+  // itself (pruned or unknown), which is reported as { rejected: true }.
+  async function readAll(method, params, cursor) {
+    const items = [];
+    let next = cursor;
+    let first = true;
+    while (true) {
+      let page;
+      try {
+        page = await rpc(method, {
+          ...params,
+          cursor: next,
+          order: "ascending",
+          limit: PAGE_SIZE,
+        });
+      } catch (error) {
+        if (!first) throw error;
+        console.warn(`${method} rejected cursor: ${error.message}`);
+        return { rejected: true };
+      }
+      first = false;
+      items.push(...page.data);
+      next = page.nextCursor ?? next;
+      if (!page.hasNextPage || page.data.length === 0) break;
+    }
+    return { items, next };
+  }
+
+  function nftIdsFromChanges(objectChanges) {
+    return (objectChanges || [])
+      .filter((change) => change.objectType === nftType && change.objectId)
+      .map((change) => change.objectId);
+  }
+
+  /**
+   * Collect the City NFTs changed since `cursor`.
+   *
+   * Returns { objectIds, next, transactionCount, eventCount }, or
+   * { rejected: true } if the node no longer accepts the cursor.
+   */
+  async function collectChanges(cursor) {
+    const transactions = await readAll(
+      "queryTransactionBlocks",
+      { filter: transactionFilter, options: { showObjectChanges: true } },
+      cursor.transactions
+    );
+    if (transactions.rejected) return { rejected: true };
+
+    const events = await readAll(
+      "queryEvents",
+      { query: eventFilter },
+      cursor.events
+    );
+    if (events.rejected) return { rejected: true };
+
+    const objectIds = new Set();
+    const seenDigests = new Set();
+    for (const transaction of transactions.items) {
+      seenDigests.add(transaction.digest);
+      nftIdsFromChanges(transaction.objectChanges).forEach((id) =>
+        objectIds.add(id)
+      );
+    }
+
+    // Events can come from transactions the MoveFunction filter did not match
+    // (e.g. emitted through another package), so read their object changes too
+    const eventDigests = [
+      ...new Set(events.items.map((event) => event.id.txDigest)),
+    ].filter((digest) => !seenDigests.has(digest));
+    for (let i = 0; i < eventDigests.length; i += MULTI_GET_TX_BATCH_SIZE) {
+      const blocks = await rpc("multiGetTransactionBlocks", {
+        digests: eventDigests.slice(i, i + MULTI_GET_TX_BATCH_SIZE),
+        options: { showObjectChanges: true },
+      });
+      for (const block of blocks) {
+        nftIdsFromChanges(block.objectChanges).forEach((id) =>
+          objectIds.add(id)
+        );
+      }
+    }
+
+    return {
+      objectIds: [...objectIds],
+      next: { transactions: transactions.next, events: events.next },
+      transactionCount: transactions.items.length,
+      eventCount: events.items.length,
+    };
+  }
+
+  return {
+    loadCursor,
+    staleReason,
+    saveCursor,
+    beginFullScan,
+    finishFullScan,
+    collectChanges,
+  };
+}
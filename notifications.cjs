@@ -0,0 +1,313 @@
+const store = require("./bot-store.cjs");
+const { formatBalance } = require("./format.cjs");
+
+// Player notifications for the change events the sync stores (see
+// change-events.js). Players opt in with /notifications and pick which event
+// types they want, sent as they arrive or once a day as a digest.
+
+const NOTIFICATION_TYPES = {
+  nft_moved: "🏙 City NFT moves",
+  sitizens_changed: "🪖 Staked Sitizens",
+  balance_threshold: "💰 SITY balance milestones",
+};
+
+const DEFAULT_PREFS = {
+  enabled: false,
+  mode: "instant",
+  types: Object.fromEntries(
+    Object.keys(NOTIFICATION_TYPES).map((type) => [type, true])
+  ),
+};
+
+const EVENTS_PER_TICK = 50;
+// Events claimed longer ago than this were lost by a crashed or stopped bot
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+function resolvePrefs(stored) {
+  return {
+    enabled: stored?.enabled ?? DEFAULT_PREFS.enabled,
+    mode: stored?.mode ?? DEFAULT_PREFS.mode,
+    types: { ...DEFAULT_PREFS.types, ...stored?.types },
+  };
+}
+
+function shortAddress(address) {
+  return address ? `${address.slice(0, 6)}…${address.slice(-4)}` : "unknown";
+}
+
+/**
+ * One line of text describing a change event.
+ */
+function formatEvent(event) {
+  const { data } = event;
+  switch (event.type) {
+    case "nft_moved":
+      if (!data.nft) {
+        return `🏙 Your City NFT is no longer in wallet ${shortAddress(
+          event.walletAddress
+        )}. If you moved it, use /link to connect the new wallet.`;
+      }
+      return `🏙 Your wallet now holds ${
+        data.nftName || "a City NFT"
+      } (${shortAddress(data.nft)}).`;
+    case "sitizens_changed": {
+      const changes = Object.entries(data.changes)
+        .map(([name, delta]) => `${delta > 0 ? "+" : ""}${delta} ${name}`)
+        .join(", ");
+      return `🪖 Staked Sitizens changed: ${changes} (now ${data.total} staked).`;
+    }
+    case "balance_threshold":
+      return data.direction === "up"
+        ? `💰 Your SITY balance passed ${formatBalance(
+            data.threshold
+          )} and is now ${formatBalance(data.sityBalance)}.`
+        : `📉 Your SITY balance dropped below ${formatBalance(
+            data.threshold
+          )} and is now ${formatBalance(data.sityBalance)}.`;
+    default:
+      return `ℹ️ ${event.type}`;
+  }
+}
+
+/**
+ * Build the /notifications settings message with its toggle buttons.
+ */
+function buildNotificationsMenu(prefs) {
+  const lines = ["🔔 Notifications", ""];
+  if (prefs.enabled) {
+    lines.push(
+      prefs.mode === "digest"
+        ? "On: changes are sent once a day as a digest."
+        : "On: changes are sent as soon as the sync finds them."
+    );
+  } else {
+    lines.push("Off: you will not be told about changes to your City.");
+  }
+
+  const typeButtons = Object.entries(NOTIFICATION_TYPES).map(
+    ([type, title]) => [
+      {
+        text: `${prefs.types[type] ? "✅" : "⬜"} ${title}`,
+        callback_data: `nt:t:${type}`,
+      },
+    ]
+  );
+  return {
+    text: lines.join("\n"),
+    reply_markup: {
+      inline_keyboard: [
+        [
+          prefs.enabled
+            ? { text: "🔕 Turn off", callback_data: "nt:off" }
+            : { text: "🔔 Turn on", callback_data: "nt:on" },
+          prefs.mode === "digest"
+            ? { text: "⚡ Send instantly", callback_data: "nt:instant" }
+            : { text: "📰 Daily digest", callback_data: "nt:digest" },
+        ],
+        ...typeButtons,
+      ],
+    },
+  };
+}
+
+/**
+ * Handle /notifications: show the caller's notification settings.
+ */
+async function handleNotificationsCommand(bot, message) {
+  const prefs = resolvePrefs(await store.getNotificationPrefs(message.from.id));
+  const { text, reply_markup } = buildNotificationsMenu(prefs);
+  await bot.sendMessage(message.chat.id, text, { reply_markup });
+}
+
+// The stored change for each settings button
+function prefsChange(action, argument, prefs) {
+  switch (action) {
+    case "on":
+      return { enabled: true };
+    case "off":
+      return { enabled: false };
+    case "instant":
+    case "digest":
+      return { mode: action };
+    case "t":
+      return Object.hasOwn(NOTIFICATION_TYPES, argument)
+        ? { [`types.${argument}`]: !prefs.types[argument] }
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Handle settings button presses ("nt:<action>[:<type>]") by saving the
+ * change and editing the settings message in place.
+ */
+async function handleNotificationsCallback(bot, callbackQuery) {
+  const [, action, argument] = callbackQuery.data.split(":");
+  const telegramId = callbackQuery.from.id;
+  const current = resolvePrefs(await store.getNotificationPrefs(telegramId));
+  const change = prefsChange(action, argument, current);
+
+  if (!change) {
+    await bot.telegram.call("answerCallbackQuery", {
+      callback_query_id: callbackQuery.id,
+      text: "This button is no longer valid.",
+    });
+    return;
+  }
+
+  const prefs = resolvePrefs(
+    await store.updateNotificationPrefs(telegramId, change)
+  );
+  const { text, reply_markup } = buildNotificationsMenu(prefs);
+  await bot.telegram.call("answerCallbackQuery", {
+    callback_query_id: callbackQuery.id,
+  });
+  await bot.telegram
+    .call("editMessageText", {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id,
+      text,
+      reply_markup,
+    })
+    .catch((error) => {
+      // A double press saves the same settings again
+      if (!/message is not modified/i.test(error.description)) throw error;
+    });
+}
+
+/**
+ * Deliver change events: every `intervalMs` pending events are sent to
+ * players with instant notifications or held for the digest, and after
+ * `digestHour` (UTC) the day's digest goes out once.
+ *
+ * Events for chats already marked blocked, or that Telegram refuses for good
+ * (`bot.sendMessage` resolves to undefined), are marked "undeliverable". Other
+ * send errors put the event back in the queue for the next tick.
+ */
+function createNotifier({ bot, intervalMs = 60000, digestHour = 9 }) {
+  let timer = null;
+  let running = null;
+  let stopping = false;
+
+  // Chats marked blocked (see store.markChatBlocked) are not messaged again
+  async function isReachable(chatId) {
+    const [reachable] = await store.filterReachableChatIds([chatId]);
+    return reachable !== undefined;
+  }
+
+  async function deliverPending() {
+    for (let i = 0; i < EVENTS_PER_TICK && !stopping; i++) {
+      const event = await store.claimPendingEvent();
+      if (!event) return;
+
+      const prefs = resolvePrefs(
+        await store.getNotificationPrefs(event.telegramId)
+      );
+      if (!prefs.enabled || !prefs.types[event.type]) {
+        await store.setEventStatus([event._id], "skipped");
+        continue;
+      }
+      if (prefs.mode === "digest") {
+        await store.setEventStatus([event._id], "digest");
+        continue;
+      }
+
+      const chatId = Number(event.telegramId);
+      if (!(await isReachable(chatId))) {
+        await store.setEventStatus([event._id], "undeliverable");
+        continue;
+      }
+
+      let sent;
+      try {
+        sent = await bot.sendMessage(chatId, formatEvent(event));
+      } catch (error) {
+        await store.setEventStatus([event._id], "pending");
+        throw error;
+      }
+      await store.setEventStatus([event._id], sent ? "sent" : "undeliverable");
+    }
+  }
+
+  async function sendDigests(now) {
+    if (stopping || now.getUTCHours() < digestHour) return;
+    if (!(await store.claimDigestDay(now.toISOString().slice(0, 10)))) return;
+
+    const eventsByUser = new Map();
+    for (const event of await store.getDigestEvents()) {
+      const events = eventsByUser.get(event.telegramId) || [];
+      events.push(event);
+      eventsByUser.set(event.telegramId, events);
+    }
+
+    for (const [telegramId, events] of eventsByUser) {
+      // Players not reached before shutdown get their events tomorrow
+      if (stopping) return;
+      const ids = events.map((event) => event._id);
+      const prefs = resolvePrefs(await store.getNotificationPrefs(telegramId));
+      const wanted = events.filter(
+        (event) => prefs.enabled && prefs.types[event.type]
+      );
+      if (wanted.length === 0) {
+        await store.setEventStatus(ids, "skipped");
+        continue;
+      }
+      if (!(await isReachable(Number(telegramId)))) {
+        await store.setEventStatus(ids, "undeliverable");
+        continue;
+      }
+
+      const text = [
+        "📰 Your daily SuiCity digest",
+        "",
+        ...wanted.map(formatEvent),
+      ].join("\n");
+      try {
+        const sent = await bot.sendMessage(Number(telegramId), text);
+        await store.setEventStatus(ids, sent ? "sent" : "undeliverable");
+      } catch (error) {
+        // Left in the digest for tomorrow
+        console.error(`Digest for ${telegramId} failed: ${error.message}`);
+      }
+    }
+    console.log(`Sent the daily digest to ${eventsByUser.size} players.`);
+  }
+
+  async function tick() {
+    try {
+      await store.releaseStaleEvents(new Date(Date.now() - STALE_CLAIM_MS));
+      await deliverPending();
+      await sendDigests(new Date());
+    } catch (error) {
+      console.error(`Notification delivery failed: ${error.message}`);
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      // Skip a tick while the previous one is still sending
+      if (running) return;
+      running = tick().finally(() => {
+        running = null;
+      });
+    }, intervalMs);
+  }
+
+  async function stop() {
+    stopping = true;
+    clearInterval(timer);
+    timer = null;
+    await running;
+  }
+
+  return { start, stop };
+}
+
+module.exports = {
+  formatEvent,
+  handleNotificationsCommand,
+  handleNotificationsCallback,
+  createNotifier,
+};
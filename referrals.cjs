@@ -0,0 +1,107 @@
+const store = require("./bot-store.cjs");
+
+const RECENT_REFERRAL_DAYS = 7;
+
+/**
+ * Record who invited a chat that arrived through an invite link.
+ *
+ * Only counts when the invite link was the chat's very first contact with the
+ * bot (stored as the bot user's startParam), so repeat starts and users who
+ * found the bot on their own are not attributed. Self-invites are ignored.
+ */
+async function recordInviteReferral(message, botUser, invite) {
+  const inviteeTelegramId = message.from?.id;
+  if (!inviteeTelegramId || !botUser) return false;
+
+  if (botUser.startParam !== invite.startParam) {
+    return false;
+  }
+
+  if (String(invite.inviterTelegramId) === String(inviteeTelegramId)) {
+    console.log(`Ignoring self-invite from Telegram user ${inviteeTelegramId}`);
+    return false;
+  }
+
+  const recorded = await store.recordReferral({
+    inviterTelegramId: invite.inviterTelegramId,
+    inviteeTelegramId,
+    inviteeChatId: message.chat.id,
+    nftIndex: invite.nftIndex,
+  });
+  if (recorded) {
+    console.log(
+      `Recorded referral: ${invite.inviterTelegramId} invited ${inviteeTelegramId}`
+    );
+  }
+  return recorded;
+}
+
+/**
+ * The NFT index an inviter's links carry: the number in their City NFT name
+ * ("SuiCity #123"), or null if the binding has none.
+ */
+function getInviteNftIndex(binding) {
+  const match = binding?.nftName?.match(/#(\d+)$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Create a signed invite for the caller's City NFT. Returns { startParam,
+ * startLink, startAppLink }, or null if the caller has no linked City NFT.
+ */
+function createInviteLinks(deepLinks, botUsername, binding, telegramId) {
+  const nftIndex = getInviteNftIndex(binding);
+  if (!nftIndex) return null;
+  const startParam = deepLinks.encodeInvite({ nftIndex, telegramId });
+  return {
+    startParam,
+    startLink: `https://t.me/${botUsername}?start=${startParam}`,
+    startAppLink: `https://t.me/${botUsername}?startapp=${startParam}`,
+  };
+}
+
+/**
+ * Handle /invite: send the caller a signed invite link for their City NFT.
+ */
+async function handleInviteCommand(bot, message, deepLinks, botUsername) {
+  const binding = await store.findBindingByTelegramId(message.from.id);
+  const links = createInviteLinks(
+    deepLinks,
+    botUsername,
+    binding,
+    message.from.id
+  );
+  await bot.sendMessage(
+    message.chat.id,
+    links
+      ? `🔗 Your invite link:\n${links.startLink}\n\nFriends who join through it count towards your /referrals.`
+      : "You need a linked City NFT to invite friends.\nUse /link to connect your wallet, then try /invite again."
+  );
+}
+
+/**
+ * Handle /referrals: show how many people the caller brought in.
+ */
+async function handleReferralsCommand(bot, message) {
+  const since = new Date(Date.now() - RECENT_REFERRAL_DAYS * 86400000);
+  const { total, recent } = await store.getReferralStats(
+    message.from.id,
+    since
+  );
+
+  const text =
+    total === 0
+      ? "You haven't invited anyone yet.\nUse /invite to get a link that brings friends into SuiCity!"
+      : `👥 You have invited ${total} ${
+          total === 1 ? "player" : "players"
+        } to SuiCity.\n${recent} joined in the last ${RECENT_REFERRAL_DAYS} days.`;
+
+  await bot.sendMessage(message.chat.id, text);
+}
+
+module.exports = {
+  recordInviteReferral,
+  createInviteLinks,
+  handleInviteCommand,
+  handleReferralsCommand,
+};
@@ -1,19 +1,87 @@
+const crypto = require("crypto");
 const express = require("express");
-const axios = require("axios");
 const bodyParser = require("body-parser");
 require("dotenv").config();
+const store = require("./bot-store.cjs");
+const { formatBalance } = require("./format.cjs");
+const { createUpdateQueue, getUpdateChatId } = require("./update-queue.cjs");
+const {
+  createTelegramClient,
+  TelegramApiError,
+} = require("./telegram-client.cjs");
+const { createUpdatePoller } = require("./update-poller.cjs");
+const { createDeepLinkCodec } = require("./deep-link.cjs");
+const { validateInitData, createSessionTokens } = require("./webapp-auth.cjs");
+const { handleLinkCommand, completeWalletLink } = require("./wallet-link.cjs");
+const {
+  handleBalanceCommand,
+  handleLeaderboardCommand,
+  handleLeaderboardCallback,
+} = require("./balance-commands.cjs");
+const {
+  recordInviteReferral,
+  createInviteLinks,
+  handleInviteCommand,
+  handleReferralsCommand,
+} = require("./referrals.cjs");
+const { createBroadcaster } = require("./broadcasts.cjs");
+const { parseAdminRoles, createAdminCommands } = require("./admin.cjs");
+const {
+  handleNotificationsCommand,
+  handleNotificationsCallback,
+  createNotifier,
+} = require("./notifications.cjs");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const BOT_USERNAME = process.env.BOT_USERNAME; // Bot username (without @)
-const TELEGRAM_API_URL = `https://api.telegram.org/bot${BOT_TOKEN}`;
+const BOT_MODE = process.env.BOT_MODE || "webhook"; // "webhook" or "polling"
+const TELEGRAM_API_BASE_URL = process.env.TELEGRAM_API_BASE_URL; // Optional: e.g. a local fake API
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET; // Sent back by Telegram in X-Telegram-Bot-Api-Secret-Token
+const WEBHOOK_URL = process.env.WEBHOOK_URL; // Optional: register the webhook on startup
+
+const DEEP_LINK_SECRET = process.env.DEEP_LINK_SECRET; // Signs invite deep links
+const INVITE_LINK_TTL_DAYS = Number(process.env.INVITE_LINK_TTL_DAYS) || 30;
+const LEGACY_INVITE_LINKS_UNTIL = process.env.LEGACY_INVITE_LINKS_UNTIL; // ISO date; accept unsigned links until then
+const SESSION_SECRET = process.env.SESSION_SECRET; // Signs Mini App session tokens
+const WEBAPP_ORIGIN = process.env.WEBAPP_ORIGIN; // Optional: Mini App origin allowed to call /webapp routes
+const WEBAPP_AUTH_MAX_AGE_SECONDS =
+  Number(process.env.WEBAPP_AUTH_MAX_AGE_SECONDS) || 3600;
+
+const NOTIFICATION_INTERVAL_MS =
+  Number(process.env.NOTIFICATION_INTERVAL_MS) || 60000;
+const NOTIFICATION_DIGEST_HOUR = Number(
+  process.env.NOTIFICATION_DIGEST_HOUR ?? 9
+); // UTC hour the daily digest is sent
+
+// Admin Telegram ids and their roles, e.g. "12345:owner,67890:viewer" (see admin.cjs)
+const ADMIN_ROLES = process.env.ADMIN_ROLES;
+const BROADCAST_MESSAGES_PER_SECOND =
+  Number(process.env.BROADCAST_MESSAGES_PER_SECOND) || 10; // Leaves room for replies under Telegram's 30/s
+
+const SHUTDOWN_TIMEOUT_MS = 25000; // Render sends SIGKILL 30s after SIGTERM
 
 app.use(bodyParser.json());
 
-// In-memory store to track registered users
-const registeredUsers = new Set();
+let server = null;
+// Filled from ADMIN_ROLES in start(), where a malformed value fails startup
+const adminRoles = new Map();
+
+const telegram = createTelegramClient({
+  token: BOT_TOKEN,
+  apiBaseUrl: TELEGRAM_API_BASE_URL,
+  onChatUnreachable: (chatId, reason) => store.markChatBlocked(chatId, reason),
+});
+
+// Created in start() so missing or invalid settings fail there
+let deepLinks = null;
+let sessionTokens = null;
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
 /**
  * Helper function to log errors with context.
@@ -24,35 +92,27 @@ function logError(context, error) {
 }
 
 /**
- * Helper function to send a message and handle errors.
+ * Helper function to send a message. Unreachable chats are already recorded by
+ * the client, so only retryable failures are rethrown to the update queue.
  */
-async function sendMessage(chat_id, text) {
+async function sendMessage(chat_id, text, extra) {
   try {
-    await axios.post(`${TELEGRAM_API_URL}/sendMessage`, { chat_id, text });
+    return await telegram.sendMessage(chat_id, text, extra);
   } catch (error) {
     logError("sendMessage", error);
+    if (!error.permanent) throw error;
   }
 }
 
 /**
- * Helper function to send a photo and handle errors.
+ * Helper function to send a photo, with the same error handling as sendMessage.
  */
 async function sendPhoto(chat_id, photo, caption, reply_markup) {
   try {
-    await axios.post(`${TELEGRAM_API_URL}/sendPhoto`, {
-      chat_id,
-      photo,
-      caption,
-      reply_markup,
-    });
+    return await telegram.sendPhoto(chat_id, photo, caption, reply_markup);
   } catch (error) {
     logError("sendPhoto", error);
-    // If chat is invalid or user hasn't started the bot, handle gracefully
-    if (error.response?.data?.description === "Bad Request: chat not found") {
-      console.error("Chat not found or user has not started the bot.");
-    }
-    // Optionally, send a fallback text message
-    await sendMessage(chat_id, "An error occurred. Please try again later.");
+    if (!error.permanent) throw error;
   }
 }
 
@@ -85,11 +145,20 @@ async function sendDefaultWelcome(chatId) {
 /**
  * Handle invite start with NFT index.
  */
-async function handleInviteStart(chatId, nftIndex, telegramId) {
+async function handleInviteStart(chatId, invite) {
+  const { nftIndex } = invite;
   const invitePhoto =
     "https://bafybeigeehdqguabym6dwzlr4n4kox7ilrcggqlhjv2g77r3zi2efcgdd4.ipfs.w3s.link/telegram-invite-2.webp";
   const inviteCaption = `SuiCity: Play-2-Earn\n\nYou were invited by SuiCity #${nftIndex}!\nTap the button below to open the app.`;
-  const startAppLink = `https://t.me/${BOT_USERNAME}?startapp=${nftIndex}__${telegramId}`;
+  // Legacy invites are re-issued as signed links so the Mini App only has to
+  // understand one format
+  const startAppParam = invite.legacy
+    ? deepLinks.encodeInvite({
+        nftIndex: invite.nftIndex,
+        telegramId: invite.telegramId,
+      })
+    : invite.startParam;
+  const startAppLink = `https://t.me/${BOT_USERNAME}?startapp=${startAppParam}`;
 
   const inviteMarkup = {
     inline_keyboard: [
@@ -108,62 +177,483 @@ async function handleInviteStart(chatId, nftIndex, telegramId) {
 /**
  * Validate and handle the /start command with parameters.
  */
-async function handleStartCommand(chatId, text) {
-  const startParam = text.split(" ")[1]; // Extract the parameter after "/start"
+async function handleStartCommand(message) {
+  const chatId = message.chat.id;
+  const startParam = message.text.split(" ")[1]; // Extract the parameter after "/start"
+
+  const { user } = await store.recordBotUser(message, startParam);
 
   if (!startParam) {
     // No invite parameter, send default welcome
-    // Only send welcome message once if not registered
-    if (!registeredUsers.has(chatId)) {
-      registeredUsers.add(chatId);
-      await sendDefaultWelcome(chatId);
-    } else {
-      // User is already registered; you could decide not to resend the welcome
-      // or just do nothing here.
+    // Only send welcome message once per chat, tracked in MongoDB
+    if (await store.markWelcomed(chatId)) {
+      try {
+        await sendDefaultWelcome(chatId);
+      } catch (error) {
+        // Let a later /start send it instead of leaving the chat marked
+        await store.clearWelcomed(chatId);
+        throw error;
+      }
     }
     return;
   }
 
-  // Parse parameters: expected format "index_<nftIndex>_telegram_<telegramId>"
-  const params = startParam.split("_");
-  if (
-    params.length === 4 &&
-    params[0] === "index" &&
-    params[2] === "telegram"
-  ) {
-    const nftIndex = params[1];
-    const telegramId = params[3];
-    return handleInviteStart(chatId, nftIndex, telegramId);
-  } else {
-    // Invalid parameter structure
+  const decoded = deepLinks.decodeInvite(startParam);
+  if (!decoded.ok) {
+    console.log(`Rejected invite link "${startParam}": ${decoded.reason}`);
     await sendMessage(
       chatId,
-      "Invalid invite link. Please use a valid invite link to start the game."
+      decoded.reason === "expired"
+        ? "This invite link has expired. Please ask for a new invite link."
+        : "Invalid invite link. Please use a valid invite link to start the game."
     );
+    return;
   }
+
+  const invite = { ...decoded.invite, startParam };
+  await recordInviteReferral(message, user, {
+    startParam,
+    nftIndex: invite.nftIndex,
+    inviterTelegramId: invite.telegramId,
+  });
+  return handleInviteStart(chatId, invite);
 }
 
-app.post("/webhook", async (req, res) => {
-  const message = req.body.message;
+// Messaging helpers handed to the command modules
+const bot = { telegram, sendMessage, sendPhoto };
+
+const admin = createAdminCommands({
+  bot,
+  roles: adminRoles,
+  extraCommands: {
+    "/broadcast": {
+      role: "owner",
+      handler: (message, args) =>
+        broadcaster.handleBroadcastCommand(message, args),
+    },
+  },
+});
+
+const broadcaster = createBroadcaster({
+  bot,
+  isAdmin: (telegramId) => admin.hasRole(telegramId, "owner"),
+  audit: admin.audit,
+  messagesPerSecond: BROADCAST_MESSAGES_PER_SECOND,
+});
+
+const commandHandlers = {
+  "/start": (message) => handleStartCommand(message),
+  "/balance": (message) => handleBalanceCommand(bot, message),
+  "/leaderboard": (message, args) =>
+    handleLeaderboardCommand(bot, message, args),
+  "/referrals": (message) => handleReferralsCommand(bot, message),
+  "/invite": (message) =>
+    handleInviteCommand(bot, message, deepLinks, BOT_USERNAME),
+  "/link": (message) => handleLinkCommand(bot, message, BOT_USERNAME),
+  "/notifications": (message) => handleNotificationsCommand(bot, message),
+  ...admin.handlers,
+};
+
+// Inline button handlers, keyed by the callback_data prefix before ":"
+const callbackHandlers = {
+  lb: (callbackQuery) => handleLeaderboardCallback(bot, callbackQuery),
+  nt: (callbackQuery) => handleNotificationsCallback(bot, callbackQuery),
+  bc: (callbackQuery) => broadcaster.handleBroadcastCallback(callbackQuery),
+};
+
+const notifier = createNotifier({
+  bot,
+  intervalMs: NOTIFICATION_INTERVAL_MS,
+  digestHour: NOTIFICATION_DIGEST_HOUR,
+});
+
+/**
+ * Split "/command@BotName arg1 arg2" into the command and its arguments.
+ */
+function parseCommand(text) {
+  const [head, ...args] = text.trim().split(/\s+/);
+  const [command, mention] = head.toLowerCase().split("@");
+  if (mention && BOT_USERNAME && mention !== BOT_USERNAME.toLowerCase()) {
+    return null; // Addressed to another bot in a group chat
+  }
+  return { command, args };
+}
+
+/**
+ * Route an inline button press to its handler.
+ */
+async function handleCallbackQuery(callbackQuery) {
+  const prefix = (callbackQuery.data || "").split(":")[0];
+  const handler = Object.hasOwn(callbackHandlers, prefix)
+    ? callbackHandlers[prefix]
+    : null;
+  if (!handler) {
+    await telegram.call("answerCallbackQuery", {
+      callback_query_id: callbackQuery.id,
+    });
+    return;
+  }
+  await handler(callbackQuery);
+}
+
+/**
+ * Process a single Telegram update. Throws so the queue can retry it.
+ */
+async function handleUpdate(update) {
+  if (update.callback_query) {
+    const chatId = update.callback_query.message?.chat?.id;
+    if (chatId) await store.touchBotUser(chatId, update.callback_query.from);
+    return handleCallbackQuery(update.callback_query);
+  }
+
+  const message = update.message;
   if (!message || !message.chat) {
-    console.error("Invalid message structure or missing chat object.");
-    return res.sendStatus(200);
+    console.log(`Update ${update.update_id} has no message, ignoring.`);
+    return;
   }
+  if (message.from) await store.touchBotUser(message.chat.id, message.from);
 
-  const chatId = message.chat.id;
   const text = message.text;
+  if (!text || !text.startsWith("/")) return;
+
+  const parsed = parseCommand(text);
+  const handler = parsed && commandHandlers[parsed.command];
+  if (handler) {
+    await handler(message, parsed.args);
+  }
+}
 
-  if (text && text.startsWith("/start")) {
-    try {
-      await handleStartCommand(chatId, text);
-    } catch (error) {
-      logError("handleStartCommand", error);
-      await sendMessage(chatId, "An error occurred. Please try again later.");
+const updateQueue = createUpdateQueue({
+  handler: handleUpdate,
+  // The Telegram client already retried failed API calls
+  shouldRetry: (error) => !(error instanceof TelegramApiError),
+  onSuccess: (update) => store.completeUpdate(update.update_id, "done"),
+  onFailure: async (update, error) => {
+    logError("handleUpdate", error);
+    await store.completeUpdate(update.update_id, "failed", error);
+    const chatId = getUpdateChatId(update);
+    if (chatId) {
+      await sendMessage(
+        chatId,
+        "An error occurred. Please try again later."
+      ).catch(() => {});
     }
+  },
+});
+
+/**
+ * Claim an update and hand it to the queue. Used by both the webhook and
+ * polling modes. Returns false for updates that were already processed.
+ */
+async function acceptUpdate(update) {
+  if (!(await store.claimUpdate(update))) {
+    console.log(`Update ${update.update_id} was already processed, skipping.`);
+    return false;
   }
+  updateQueue.enqueue(update);
+  return true;
+}
+
+const poller =
+  BOT_MODE === "polling"
+    ? createUpdatePoller({
+        telegram,
+        acceptUpdate,
+        loadOffset: store.getPollingOffset,
+        saveOffset: store.savePollingOffset,
+      })
+    : null;
+
+/**
+ * Check the secret token Telegram attaches to every webhook call.
+ */
+function isAuthorizedWebhook(req) {
+  const received = req.get("X-Telegram-Bot-Api-Secret-Token");
+  if (!WEBHOOK_SECRET || !received) return false;
 
-  // Acknowledge the request from Telegram
+  const expectedBuffer = Buffer.from(WEBHOOK_SECRET);
+  const receivedBuffer = Buffer.from(received);
+  return (
+    expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer)
+  );
+}
+
+/**
+ * Point Telegram at our webhook, including the secret token it must send back.
+ */
+async function registerWebhook() {
+  await telegram.call("setWebhook", {
+    url: WEBHOOK_URL,
+    secret_token: WEBHOOK_SECRET,
+  });
+  console.log(`Webhook registered at ${WEBHOOK_URL}`);
+}
+
+app.post("/webhook", async (req, res) => {
+  if (!isAuthorizedWebhook(req)) {
+    console.error("Rejected webhook call with a missing or invalid secret.");
+    return res.sendStatus(401);
+  }
+
+  const updateId = req.body.update_id;
+  if (!Number.isInteger(updateId)) {
+    console.error("Invalid update structure or missing update_id.");
+    return res.sendStatus(200);
+  }
+
+  try {
+    await acceptUpdate(req.body);
+  } catch (error) {
+    // Let Telegram redeliver once storage is reachable again
+    logError("acceptUpdate", error);
+    return res.sendStatus(500);
+  }
+
+  // Acknowledge the request from Telegram right away; the queue does the work
   return res.sendStatus(200);
 });
 
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+// Let the Mini App front end call the /webapp routes from its own origin
+app.use("/webapp", (req, res, next) => {
+  if (WEBAPP_ORIGIN) {
+    res.set("Access-Control-Allow-Origin", WEBAPP_ORIGIN);
+    res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+    res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  }
+  if (req.method === "OPTIONS") return res.sendStatus(204);
+  return next();
+});
+
+/**
+ * The parts of a binding the Mini App may see. nftData is left out because it
+ * is large and the game reads the NFT from chain itself.
+ */
+function toPublicBinding(binding) {
+  if (!binding) return null;
+  return {
+    walletAddress: binding.walletAddress,
+    walletId: binding.walletId ?? null,
+    nft: binding.nft ?? null,
+    nftName: binding.nftName ?? null,
+    refNumber: binding.refNumber ?? null,
+    twitterId: binding.twitterId ?? null,
+    population: binding.population ?? 0,
+    sityBalance: binding.sityBalance ?? null,
+    sityBalanceRaw: binding.sityBalanceRaw ?? null,
+    sityBalanceDisplay:
+      typeof binding.sityBalance === "number"
+        ? formatBalance(binding.sityBalance)
+        : null,
+    stakedSitizenCount: binding.stakedSitizenCount ?? null,
+  };
+}
+
+/**
+ * Exchange Mini App initData for a session token and the caller's binding.
+ */
+app.post("/webapp/session", async (req, res) => {
+  const initData = req.body?.initData;
+  if (typeof initData !== "string" || !initData) {
+    return res.status(400).json({ error: "initData is required" });
+  }
+
+  const validation = validateInitData(initData, BOT_TOKEN, {
+    maxAgeSeconds: WEBAPP_AUTH_MAX_AGE_SECONDS,
+  });
+  if (!validation.ok) {
+    console.log(`Rejected Mini App initData: ${validation.reason}`);
+    return res.status(401).json({ error: validation.reason });
+  }
+
+  const { user, startParam } = validation.data;
+  try {
+    const binding = await store.findBindingByTelegramId(user.id);
+    const { token, expiresAt } = sessionTokens.issue(user.id);
+    const invite = startParam ? deepLinks.decodeInvite(startParam) : null;
+
+    return res.json({
+      token,
+      expiresAt,
+      user: {
+        id: user.id,
+        username: user.username ?? null,
+        firstName: user.first_name ?? null,
+        languageCode: user.language_code ?? null,
+      },
+      binding: toPublicBinding(binding),
+      invite: invite?.ok
+        ? {
+            nftIndex: invite.invite.nftIndex,
+            telegramId: invite.invite.telegramId,
+          }
+        : null,
+    });
+  } catch (error) {
+    logError("webapp/session", error);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * Require a session token from /webapp/session as a Bearer token and expose
+ * the caller's Telegram id as req.telegramId.
+ */
+function requireSession(req, res, next) {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  const telegramId = scheme === "Bearer" ? sessionTokens.verify(token) : null;
+  if (!telegramId) {
+    return res.status(401).json({ error: "invalid_session" });
+  }
+  req.telegramId = telegramId;
+  return next();
+}
+
+/**
+ * Signed invite links for the caller's City NFT, for the Mini App's share
+ * button.
+ */
+app.get("/webapp/invite", requireSession, async (req, res) => {
+  try {
+    const binding = await store.findBindingByTelegramId(req.telegramId);
+    const links = createInviteLinks(
+      deepLinks,
+      BOT_USERNAME,
+      binding,
+      req.telegramId
+    );
+    if (!links) {
+      return res.status(404).json({ error: "no_city_nft" });
+    }
+    return res.json(links);
+  } catch (error) {
+    logError("webapp/invite", error);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+const LINK_ERROR_STATUS = {
+  invalid_address: 400,
+  invalid_nonce: 400,
+  bad_signature: 401,
+  wallet_taken: 409,
+  link_in_progress: 409,
+};
+
+/**
+ * Finish a /link request with the wallet's signature over the link message.
+ */
+app.post("/webapp/link", requireSession, async (req, res) => {
+  const { nonce, walletAddress, signature } = req.body || {};
+  if (!nonce || !signature) {
+    return res.status(400).json({ error: "nonce and signature are required" });
+  }
+
+  try {
+    const result = await completeWalletLink({
+      telegramId: req.telegramId,
+      nonce,
+      walletAddress,
+      signature,
+    });
+    if (!result.ok) {
+      return res
+        .status(LINK_ERROR_STATUS[result.reason] || 400)
+        .json({ error: result.reason });
+    }
+
+    // Private chat ids are the user's Telegram id
+    await sendMessage(
+      Number(req.telegramId),
+      `✅ Wallet ${result.binding.walletAddress} is now linked to your Telegram account.`
+    ).catch((error) => logError("webapp/link confirmation", error));
+
+    return res.json({ binding: toPublicBinding(result.binding) });
+  } catch (error) {
+    logError("webapp/link", error);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * Wait for queued updates to finish, then close the server and MongoDB.
+ */
+async function shutdown(signal) {
+  console.log(`Received ${signal}, shutting down...`);
+  if (poller) {
+    await poller.stop();
+  }
+  await notifier.stop();
+  await broadcaster.stop();
+  if (server) {
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  await Promise.race([updateQueue.drain(), delay(SHUTDOWN_TIMEOUT_MS)]);
+  if (updateQueue.size() > 0) {
+    console.error(
+      `${updateQueue.size()} updates still pending at shutdown; they will be resumed on next start.`
+    );
+  }
+
+  await store.close();
+  process.exit(0);
+}
+
+async function start() {
+  if (BOT_MODE !== "webhook" && BOT_MODE !== "polling") {
+    throw new Error(`Unknown BOT_MODE "${BOT_MODE}".`);
+  }
+  if (BOT_MODE === "webhook" && !WEBHOOK_SECRET) {
+    throw new Error("WEBHOOK_SECRET must be set to accept webhook calls.");
+  }
+  for (const [telegramId, role] of parseAdminRoles(ADMIN_ROLES)) {
+    adminRoles.set(telegramId, role);
+  }
+  const legacyUntil = LEGACY_INVITE_LINKS_UNTIL
+    ? new Date(LEGACY_INVITE_LINKS_UNTIL)
+    : null;
+  if (legacyUntil && isNaN(legacyUntil.getTime())) {
+    throw new Error(
+      `LEGACY_INVITE_LINKS_UNTIL "${LEGACY_INVITE_LINKS_UNTIL}" is not a valid date.`
+    );
+  }
+  deepLinks = createDeepLinkCodec({
+    secret: DEEP_LINK_SECRET,
+    ttlSeconds: INVITE_LINK_TTL_DAYS * 24 * 60 * 60,
+    legacyUntil,
+  });
+  sessionTokens = createSessionTokens({ secret: SESSION_SECRET });
+
+  await store.connect();
+  if (BOT_MODE === "webhook" && WEBHOOK_URL) {
+    await registerWebhook();
+  }
+
+  // Resume updates that were acknowledged but not handled before a restart
+  const pendingUpdates = await store.getPendingUpdates();
+  if (pendingUpdates.length > 0) {
+    console.log(`Resuming ${pendingUpdates.length} pending updates...`);
+    pendingUpdates.forEach((update) => updateQueue.enqueue(update));
+  }
+
+  server = app.listen(PORT, () =>
+    console.log(`Server running on port ${PORT}`)
+  );
+  if (poller) {
+    poller.start().catch((error) => {
+      logError("poller", error);
+      process.exit(1);
+    });
+  }
+  notifier.start();
+  broadcaster.start();
+
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+}
+
+start().catch((error) => {
+  logError("start", error);
+  process.exit(1);
+});
@@ -0,0 +1,275 @@
+// Decoder for the staked Sitizens stored in a City NFT's nftData, shared by
+// the bot, the sync (update-nfts.js) and count-staked-sitizens.js.
+//
+// extra_nested_data[1] holds one count per Sitizen type, by index: ["6", "2"]
+// means 6 Sivilians and 2 Generals staked. Which index is which type comes
+// from a registry: sitizen-types.json, or the file named by SITIZEN_TYPES_FILE.
+// When the game adds a type, add it to the registry and bump its version;
+// until then its index is reported as unknown instead of being dropped.
+
+const fs = require("fs");
+
+let defaultDecoder = null;
+
+// Read lazily so SITIZEN_TYPES_FILE from .env is seen by ESM scripts, whose
+// imports run before dotenv.config()
+function getDefaultDecoder() {
+  if (!defaultDecoder) {
+    const file = process.env.SITIZEN_TYPES_FILE;
+    defaultDecoder = createSitizenDecoder(
+      file
+        ? JSON.parse(fs.readFileSync(file, "utf8"))
+        : require("./sitizen-types.json")
+    );
+  }
+  return defaultDecoder;
+}
+
+/**
+ * City NFT fields from a binding. The sync stores the full getObject response
+ * ({ data: { content } }) while older bindings store the object itself.
+ */
+function getNftFields(binding) {
+  const nftData = binding.nftData;
+  return nftData?.content?.fields ?? nftData?.data?.content?.fields ?? null;
+}
+
+function validateRegistry(registry) {
+  if (!Number.isInteger(registry?.version) || !Array.isArray(registry.types)) {
+    throw new Error("A Sitizen type registry needs a version and types.");
+  }
+  const seen = new Set();
+  for (const type of registry.types) {
+    if (!Number.isInteger(type.index) || type.index < 0 || !type.key) {
+      throw new Error(`Invalid Sitizen type ${JSON.stringify(type)}.`);
+    }
+    if (seen.has(type.index)) {
+      throw new Error(`Sitizen type index ${type.index} is listed twice.`);
+    }
+    seen.add(type.index);
+  }
+}
+
+// A count is a non-negative integer, stored on chain as a string
+function parseCount(value) {
+  if (typeof value === "number") {
+    return Number.isInteger(value) && value >= 0 ? value : null;
+  }
+  return typeof value === "string" && /^\d+$/.test(value)
+    ? Number(value)
+    : null;
+}
+
+/**
+ * Create a decoder for a Sitizen type registry.
+ */
+function createSitizenDecoder(registry) {
+  validateRegistry(registry);
+  const typesByIndex = new Map(
+    registry.types.map((type) => [type.index, type])
+  );
+
+  function emptyCounts() {
+    return Object.fromEntries(registry.types.map((type) => [type.key, 0]));
+  }
+
+  /**
+   * Decode one binding.
+   *
+   * Returns { status, total, counts, unknown, problems } where status is
+   * "ok", "missing" (no staking data) or "malformed", counts has every
+   * registry key, unknown lists { index, count } for indexes the registry does
+   * not know, and problems lists { reason, ... } for anything that could not
+   * be read. Unknown indexes are not part of total.
+   */
+  function decode(binding) {
+    const result = {
+      status: "ok",
+      total: 0,
+      counts: emptyCounts(),
+      unknown: [],
+      problems: [],
+    };
+
+    const extraNestedData = getNftFields(binding)?.extra_nested_data;
+    if (extraNestedData === undefined || extraNestedData === null) {
+      result.status = "missing";
+      return result;
+    }
+    if (!Array.isArray(extraNestedData)) {
+      result.status = "malformed";
+      result.problems.push({ reason: "extra_nested_data_not_array" });
+      return result;
+    }
+    if (extraNestedData.length !== 2) {
+      result.problems.push({
+        reason: "unexpected_length",
+        length: extraNestedData.length,
+      });
+    }
+
+    const stakedNfts = extraNestedData[1];
+    if (!Array.isArray(stakedNfts)) {
+      result.status = "malformed";
+      result.problems.push({ reason: "staked_counts_not_array" });
+      return result;
+    }
+
+    stakedNfts.forEach((value, index) => {
+      const count = parseCount(value);
+      if (count === null) {
+        result.problems.push({ reason: "invalid_count", index, value });
+        return;
+      }
+      if (count === 0) return;
+      const type = typesByIndex.get(index);
+      if (!type) {
+        result.unknown.push({ index, count });
+        return;
+      }
+      result.counts[type.key] += count;
+      result.total += count;
+    });
+
+    if (result.problems.length > 0) result.status = "malformed";
+    return result;
+  }
+
+  /**
+   * Aggregate decoded bindings into the staking report: totals per type,
+   * one entry per wallet with staked Sitizens, wallets staking anything
+   * besides the basic type, and the anomalies found.
+   */
+  function createReport() {
+    const countsByType = emptyCounts();
+    const wallets = [];
+    const unknownIndexes = new Map();
+    const malformed = [];
+    let documentsScanned = 0;
+    let documentsWithStakingData = 0;
+    let totalStaked = 0;
+
+    function add(binding) {
+      documentsScanned++;
+      const decoded = decode(binding);
+      if (decoded.status !== "missing") documentsWithStakingData++;
+
+      if (decoded.status === "malformed") {
+        malformed.push({
+          userId: binding._id ? String(binding._id) : null,
+          walletAddress: binding.walletAddress ?? null,
+          problems: decoded.problems,
+        });
+      }
+      for (const { index, count } of decoded.unknown) {
+        const entry = unknownIndexes.get(index) || {
+          index,
+          count: 0,
+          wallets: [],
+        };
+        entry.count += count;
+        entry.wallets.push(binding.walletAddress ?? null);
+        unknownIndexes.set(index, entry);
+      }
+
+      if (decoded.total === 0 && decoded.unknown.length === 0) return decoded;
+      for (const [key, count] of Object.entries(decoded.counts)) {
+        countsByType[key] += count;
+      }
+      totalStaked += decoded.total;
+      wallets.push({
+        walletAddress: binding.walletAddress ?? null,
+        stakedArray: getNftFields(binding).extra_nested_data[1],
+        counts: decoded.counts,
+        total: decoded.total,
+      });
+      return decoded;
+    }
+
+    function result() {
+      const basicKeys = registry.types
+        .filter((type) => type.basic)
+        .map((type) => type.key);
+      const nonBasicStakers = wallets.filter((wallet) =>
+        Object.entries(wallet.counts).some(
+          ([key, count]) => count > 0 && !basicKeys.includes(key)
+        )
+      );
+      return {
+        registryVersion: registry.version,
+        summary: {
+          documentsScanned,
+          documentsWithStakingData,
+          walletsWithStakedNfts: wallets.length,
+          walletsWithNonBasicNfts: nonBasicStakers.length,
+          totalStakedNfts: totalStaked,
+          countsByType: { ...countsByType },
+          unknownIndexCount: unknownIndexes.size,
+          malformedDocumentCount: malformed.length,
+        },
+        wallets,
+        nonBasicStakers,
+        anomalies: {
+          unknownIndexes: [...unknownIndexes.values()].sort(
+            (a, b) => a.index - b.index
+          ),
+          malformed,
+        },
+      };
+    }
+
+    return { add, result };
+  }
+
+  return { registry, decode, createReport };
+}
+
+/**
+ * Count staked Sitizens per type from a binding's nftData, keyed by display
+ * name and leaving out types with none staked.
+ */
+function getStakedSitizens(binding) {
+  const decoder = getDefaultDecoder();
+  const { total, counts } = decoder.decode(binding);
+  const named = {};
+  for (const type of decoder.registry.types) {
+    if (counts[type.key] > 0) named[type.name] = counts[type.key];
+  }
+  return { total, counts: named };
+}
+
+/**
+ * Build the staking report over every binding that has nftData, in either of
+ * the stored shapes.
+ */
+async function buildStakingReport(collection, decoder = getDefaultDecoder()) {
+  const report = decoder.createReport();
+  const cursor = collection
+    .find({
+      $or: [
+        { "nftData.content.fields": { $exists: true } },
+        { "nftData.data.content.fields": { $exists: true } },
+      ],
+    })
+    .project({
+      walletAddress: 1,
+      "nftData.content.fields.extra_nested_data": 1,
+      "nftData.data.content.fields.extra_nested_data": 1,
+    });
+
+  let scanned = 0;
+  for await (const binding of cursor) {
+    report.add(binding);
+    scanned++;
+    if (scanned % 1000 === 0) console.log(`Scanned ${scanned} documents...`);
+  }
+  return report.result();
+}
+
+module.exports = {
+  getNftFields,
+  createSitizenDecoder,
+  getDefaultDecoder,
+  getStakedSitizens,
+  buildStakingReport,
+};
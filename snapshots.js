@@ -0,0 +1,258 @@
+import { formatBalance } from "./format.cjs";
+import { getDefaultDecoder } from "./sitizens.cjs";
+
+// Daily per-user snapshots of SITY balance, population and staked Sitizens in
+// `balance_snapshots`, one document per user per UTC day (a second run on the
+// same day replaces that day's snapshot), and the deltas between two days.
+// Staked Sitizens are keyed by type registry key, which stays the same when a
+// type's display name changes.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function snapshotDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function shiftDay(day, days) {
+  return snapshotDay(new Date(Date.parse(day) + days * DAY_MS));
+}
+
+/**
+ * Read the current values of every ranked binding (quarantined users are left
+ * out). `balanceOverrides` holds balances not written to MongoDB (dry run).
+ */
+export async function takeSnapshot(collection, balanceOverrides = new Map()) {
+  const users = await collection
+    .find(
+      { nftMissingSince: { $exists: false } },
+      {
+        projection: {
+          walletAddress: 1,
+          telegramId: 1,
+          population: 1,
+          sityBalance: 1,
+          sityBalanceRaw: 1,
+          "nftData.content.fields.extra_nested_data": 1,
+          "nftData.data.content.fields.extra_nested_data": 1,
+        },
+      }
+    )
+    .toArray();
+
+  const decoder = getDefaultDecoder();
+  return users.map((user) => {
+    const staked = decoder.decode(user);
+    const override = balanceOverrides.get(String(user._id));
+    return {
+      userId: String(user._id),
+      walletAddress: user.walletAddress ?? null,
+      telegramId: user.telegramId ?? null,
+      sityBalance: override?.sityBalance ?? user.sityBalance ?? 0,
+      sityBalanceRaw: override?.sityBalanceRaw ?? user.sityBalanceRaw ?? null,
+      population: user.population || 0,
+      stakedSitizenCount: staked.total,
+      stakedSitizens: Object.fromEntries(
+        Object.entries(staked.counts).filter(([, count]) => count > 0)
+      ),
+    };
+  });
+}
+
+export async function saveSnapshot(database, day, entries, { dryRun }) {
+  if (dryRun) {
+    console.log(`[dry run] Skipping snapshot of ${entries.length} users.`);
+    return;
+  }
+  const snapshots = database.collection("balance_snapshots");
+  await snapshots.createIndex({ day: 1, userId: 1 }, { unique: true });
+
+  const takenAt = new Date();
+  const operations = entries.map((entry) => ({
+    replaceOne: {
+      filter: { day, userId: entry.userId },
+      replacement: { day, ...entry, takenAt },
+      upsert: true,
+    },
+  }));
+  for (let i = 0; i < operations.length; i += 1000) {
+    await snapshots.bulkWrite(operations.slice(i, i + 1000), {
+      ordered: false,
+    });
+  }
+  // Users gone since an earlier run today are not part of today's snapshot
+  await snapshots.deleteMany({
+    day,
+    userId: { $nin: entries.map((entry) => entry.userId) },
+  });
+  console.log(`Saved snapshot ${day} of ${entries.length} users.`);
+}
+
+/**
+ * The latest snapshot taken on or before `day`, as { day, entries }, or null.
+ */
+export async function loadSnapshotOnOrBefore(database, day) {
+  const snapshots = database.collection("balance_snapshots");
+  const latest = await snapshots.findOne(
+    { day: { $lte: day } },
+    { sort: { day: -1 }, projection: { day: 1 } }
+  );
+  if (!latest) return null;
+  const entries = await snapshots
+    .find({ day: latest.day }, { projection: { _id: 0, takenAt: 0 } })
+    .toArray();
+  return { day: latest.day, entries };
+}
+
+// A holder is a binding with a positive SITY balance
+function isHolder(entry) {
+  return Boolean(entry) && entry.sityBalance > 0;
+}
+
+function totals(entries) {
+  return entries.reduce(
+    (sum, entry) => ({
+      holders: sum.holders + (isHolder(entry) ? 1 : 0),
+      sityBalance: sum.sityBalance + entry.sityBalance,
+      population: sum.population + entry.population,
+      stakedSitizenCount: sum.stakedSitizenCount + entry.stakedSitizenCount,
+    }),
+    { holders: 0, sityBalance: 0, population: 0, stakedSitizenCount: 0 }
+  );
+}
+
+function holderSummary(entry) {
+  return {
+    userId: entry.userId,
+    walletAddress: entry.walletAddress,
+    sityBalance: entry.sityBalance,
+    population: entry.population,
+  };
+}
+
+/**
+ * Deltas from `previous` to `current` (both { day, entries }): totals, the
+ * `topCount` biggest SITY gainers and losers, and new and departed holders.
+ */
+export function compareSnapshots(current, previous, { topCount = 10 } = {}) {
+  const before = new Map(
+    previous.entries.map((entry) => [entry.userId, entry])
+  );
+  const after = new Map(current.entries.map((entry) => [entry.userId, entry]));
+
+  const currentTotals = totals(current.entries);
+  const previousTotals = totals(previous.entries);
+  const totalDeltas = Object.fromEntries(
+    Object.keys(currentTotals).map((key) => [
+      key,
+      currentTotals[key] - previousTotals[key],
+    ])
+  );
+
+  const changes = [];
+  for (const entry of current.entries) {
+    const old = before.get(entry.userId);
+    if (!old) continue;
+    const balanceDelta = entry.sityBalance - old.sityBalance;
+    if (balanceDelta === 0) continue;
+    changes.push({
+      userId: entry.userId,
+      walletAddress: entry.walletAddress,
+      sityBalance: entry.sityBalance,
+      balanceDelta,
+      populationDelta: entry.population - old.population,
+    });
+  }
+  changes.sort((a, b) => b.balanceDelta - a.balanceDelta);
+
+  return {
+    fromDay: previous.day,
+    toDay: current.day,
+    totals: currentTotals,
+    deltas: totalDeltas,
+    topGainers: changes
+      .filter((change) => change.balanceDelta > 0)
+      .slice(0, topCount),
+    topLosers: changes
+      .filter((change) => change.balanceDelta < 0)
+      .reverse()
+      .slice(0, topCount),
+    newHolders: current.entries
+      .filter((entry) => isHolder(entry) && !isHolder(before.get(entry.userId)))
+      .map(holderSummary),
+    departedHolders: previous.entries
+      .filter((entry) => isHolder(entry) && !isHolder(after.get(entry.userId)))
+      .map(holderSummary),
+  };
+}
+
+function signed(value, format = (v) => String(v)) {
+  return value < 0 ? `-${format(-value)}` : `+${format(value)}`;
+}
+
+function orNone(lines) {
+  return lines.length > 0 ? lines : ["  None"];
+}
+
+function percent(delta, total) {
+  const base = total - delta;
+  return base > 0
+    ? ` (${signed((delta / base) * 100, (v) => v.toFixed(2))}%)`
+    : "";
+}
+
+/**
+ * Plain-text report section for one comparison, or a note when there is no
+ * earlier snapshot to compare against.
+ */
+export function formatComparison(title, comparison, { listLimit = 20 } = {}) {
+  if (!comparison) return `${title}: no earlier snapshot to compare against.`;
+  const { totals: now, deltas } = comparison;
+  const walletList = (holders) =>
+    holders
+      .slice(0, listLimit)
+      .map(
+        (holder) =>
+          `  - ${holder.walletAddress || holder.userId} (${formatBalance(
+            holder.sityBalance
+          )} SITY)`
+      )
+      .concat(
+        holders.length > listLimit
+          ? [`  - ...and ${holders.length - listLimit} more`]
+          : []
+      );
+  const changeList = (changes) =>
+    changes.map(
+      (change) =>
+        `  - ${change.walletAddress || change.userId}: ${signed(
+          change.balanceDelta,
+          formatBalance
+        )} SITY (now ${formatBalance(change.sityBalance)})`
+    );
+
+  return [
+    `${title} (${comparison.fromDay} → ${comparison.toDay}):`,
+    `- SITY Balance: ${formatBalance(now.sityBalance)} ${signed(
+      deltas.sityBalance,
+      formatBalance
+    )}${percent(deltas.sityBalance, now.sityBalance)}`,
+    `- Population: ${now.population} ${signed(deltas.population)}${percent(
+      deltas.population,
+      now.population
+    )}`,
+    `- Staked Sitizens: ${now.stakedSitizenCount} ${signed(
+      deltas.stakedSitizenCount
+    )}`,
+    `- Holders: ${now.holders} ${signed(deltas.holders)} (${
+      comparison.newHolders.length
+    } new, ${comparison.departedHolders.length} departed)`,
+    "Top Gainers:",
+    ...orNone(changeList(comparison.topGainers)),
+    "Top Losers:",
+    ...orNone(changeList(comparison.topLosers)),
+    "New Holders:",
+    ...orNone(walletList(comparison.newHolders)),
+    "Departed Holders:",
+    ...orNone(walletList(comparison.departedHolders)),
+  ].join("\n");
+}
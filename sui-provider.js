@@ -0,0 +1,223 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { BSON } from "mongodb";
+import { SuiClient, getFullnodeUrl } from "@mysten/sui/client";
+
+// Sui RPC access for the sync scripts. The network, RPC URL and package
+// addresses come from the environment, and the provider can record every RPC
+// response to fixture files or replay them, so a sync can run with no network.
+//
+//   SUI_NETWORK       mainnet (default), testnet, devnet or localnet
+//   SUI_RPC_URL       full node URL, defaults to the public node of SUI_NETWORK
+//   NFT_PACKAGE_ID    package that defines nft::City
+//   SUI_RPC_MODE      live (default), record or replay
+//   SUI_FIXTURES_DIR  where fixtures are written and read, default fixtures/sui
+//
+// Which RPC calls a run makes depends on the database it starts from, so a
+// recording only replays against that same state. Record mode saves it next
+// to the responses, and update-nfts.js --restore-fixture-db puts it back
+// (replacing those collections) before a replay. Random numbers are seeded in
+// replay mode, so two replays write the same refNumbers.
+
+const DEFAULT_NFT_PACKAGE_ID =
+  "0x5b9b4cd82aee3d5a942eebe9c2da38f411d82bfdfea1204f2486e45b5868b44f";
+
+const MODES = ["live", "record", "replay"];
+
+// What a sync run reads before it writes anything: the bindings, the NFT feed
+// cursor, the run to resume, the previous balance snapshots and the pause flag
+const DATABASE_FIXTURE_COLLECTIONS = [
+  "bindings",
+  "sync_cursors",
+  "sync_runs",
+  "balance_snapshots",
+  "bot_state",
+];
+
+const REPLAY_SEED = 0x5f3759df;
+
+// Every SuiClient method the sync uses; only these are recorded and replayed
+const RPC_METHODS = [
+  "getOwnedObjects",
+  "multiGetObjects",
+  "queryTransactionBlocks",
+  "queryEvents",
+  "multiGetTransactionBlocks",
+];
+
+export function loadSuiConfig(env = process.env) {
+  const network = env.SUI_NETWORK || "mainnet";
+  const mode = env.SUI_RPC_MODE || "live";
+  if (!MODES.includes(mode)) {
+    throw new Error(
+      `Unknown SUI_RPC_MODE "${mode}". Valid: ${MODES.join(", ")}`
+    );
+  }
+  const packageId = env.NFT_PACKAGE_ID || DEFAULT_NFT_PACKAGE_ID;
+  return {
+    network,
+    rpcUrl: env.SUI_RPC_URL || getFullnodeUrl(network),
+    mode,
+    fixturesDir: env.SUI_FIXTURES_DIR || "fixtures/sui",
+    addresses: {
+      NFT_PACKAGE_ID: packageId,
+      NFT_TYPE: `${packageId}::nft::City`,
+    },
+  };
+}
+
+// JSON with object keys sorted, so equal params always give the same key
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function fixturePath(fixturesDir, method, params) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(stableStringify(params))
+    .digest("hex")
+    .slice(0, 32);
+  return path.join(fixturesDir, method, `${hash}.json`);
+}
+
+function toError({ message, status }) {
+  const error = new Error(message);
+  if (status !== undefined) error.status = status;
+  return error;
+}
+
+/**
+ * Create the provider described by `loadSuiConfig()`. In live mode this is a
+ * plain SuiClient; otherwise an object with the same RPC methods.
+ */
+export function createSuiProvider({ rpcUrl, mode, fixturesDir }) {
+  if (mode === "live") return new SuiClient({ url: rpcUrl });
+
+  const provider = {};
+
+  if (mode === "record") {
+    const client = new SuiClient({ url: rpcUrl });
+    console.log(`Recording Sui RPC responses to ${fixturesDir}`);
+    for (const method of RPC_METHODS) {
+      provider[method] = async (params) => {
+        const file = fixturePath(fixturesDir, method, params);
+        let fixture;
+        try {
+          fixture = { method, params, result: await client[method](params) };
+        } catch (error) {
+          // Rate limits are not part of the recorded run; the caller retries
+          if (error.status === 429) throw error;
+          fixture = {
+            method,
+            params,
+            error: { message: error.message, status: error.status },
+          };
+        }
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, JSON.stringify(fixture, null, 2), "utf8");
+        if (fixture.error) throw toError(fixture.error);
+        return fixture.result;
+      };
+    }
+    return provider;
+  }
+
+  console.log(`Replaying Sui RPC responses from ${fixturesDir}`);
+  for (const method of RPC_METHODS) {
+    provider[method] = async (params) => {
+      const file = fixturePath(fixturesDir, method, params);
+      let fixture;
+      try {
+        fixture = JSON.parse(await fs.readFile(file, "utf8"));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+        throw new Error(
+          `No recorded response for ${method} ${stableStringify(
+            params
+          )} (expected ${file})`
+        );
+      }
+      if (fixture.error) throw toError(fixture.error);
+      return fixture.result;
+    };
+  }
+  return provider;
+}
+
+function databaseFixturePath(fixturesDir) {
+  return path.join(fixturesDir, "database.json");
+}
+
+/**
+ * Save the collections a run starts from, as canonical extended JSON so types
+ * survive the round trip.
+ */
+export async function saveDatabaseFixture(database, fixturesDir) {
+  const collections = {};
+  for (const name of DATABASE_FIXTURE_COLLECTIONS) {
+    collections[name] = await database.collection(name).find().toArray();
+  }
+  const file = databaseFixturePath(fixturesDir);
+  await fs.mkdir(fixturesDir, { recursive: true });
+  await fs.writeFile(
+    file,
+    BSON.EJSON.stringify({ recordedAt: new Date(), collections }, null, 2, {
+      relaxed: false,
+    }),
+    "utf8"
+  );
+  console.log(`Saved the pre-run database state to ${file}`);
+}
+
+/**
+ * Replace the recorded collections with the state saved by
+ * `saveDatabaseFixture()`. Everything else in the database is left alone.
+ */
+export async function restoreDatabaseFixture(database, fixturesDir) {
+  const file = databaseFixturePath(fixturesDir);
+  let fixture;
+  try {
+    fixture = BSON.EJSON.parse(await fs.readFile(file, "utf8"), {
+      relaxed: false,
+    });
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    throw new Error(`No recorded database state (expected ${file})`);
+  }
+  for (const [name, documents] of Object.entries(fixture.collections)) {
+    const collection = database.collection(name);
+    await collection.deleteMany({});
+    if (documents.length > 0) await collection.insertMany(documents);
+  }
+  console.log(
+    `Restored the database state recorded at ${fixture.recordedAt.toISOString()}`
+  );
+}
+
+// mulberry32
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Math.random, except in replay mode, where the sequence is always the same. */
+export function createRandom(mode) {
+  return mode === "replay" ? seededRandom(REPLAY_SEED) : Math.random;
+}
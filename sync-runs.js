@@ -0,0 +1,234 @@
+import { ObjectId } from "mongodb";
+
+// Run bookkeeping for update-nfts.js. Each run is a document in `sync_runs`
+// with per-stage status, a cursor (the last processed user _id) and the stage
+// result so far, so a run that dies halfway can pick up where it stopped.
+// A live run holds a lease on its document, renewed while the process is
+// alive. At most one run is "running" at a time (a unique index enforces it),
+// a run whose lease ran out is marked failed so it can be resumed, and every
+// write checks that this process still owns the lease.
+
+export const STAGES = ["refNumbers", "nftSync", "stakingCount", "balances"];
+
+// A "running" run whose lease has not been renewed for this long is assumed
+// dead; the lease is renewed every LEASE_RENEW_MS while the process is alive
+const LEASE_MS = 5 * 60 * 1000;
+const LEASE_RENEW_MS = 60 * 1000;
+const DUPLICATE_KEY_ERROR = 11000;
+
+function leaseFrom(now) {
+  return new Date(now.getTime() + LEASE_MS);
+}
+
+function emptyStage() {
+  return { status: "pending", cursor: null, processed: 0, result: null };
+}
+
+/**
+ * The run holding an unexpired lease, or null. Anything else that writes to
+ * the bindings (e.g. a manual resync) should not start while there is one.
+ */
+export async function findLiveRun(database) {
+  return database
+    .collection("sync_runs")
+    .findOne({ status: "running", leaseUntil: { $gt: new Date() } });
+}
+
+// Mark "running" runs whose lease ran out (or that predate leases) as failed,
+// then make sure no two runs can be running at once
+async function prepareRuns(runs, now) {
+  const expired = await runs.updateMany(
+    {
+      status: "running",
+      $or: [{ leaseUntil: { $lte: now } }, { leaseUntil: { $exists: false } }],
+    },
+    { $set: { status: "failed", error: "lease expired", updatedAt: now } }
+  );
+  if (expired.modifiedCount > 0) {
+    console.log(
+      `Marked ${expired.modifiedCount} abandoned sync run(s) failed.`
+    );
+  }
+  await runs.createIndex(
+    { status: 1 },
+    { unique: true, partialFilterExpression: { status: "running" } }
+  );
+}
+
+// Turn the duplicate key error of the running-run index into a clear refusal
+function refuseIfRunning(error) {
+  if (error.code === DUPLICATE_KEY_ERROR) {
+    throw new Error("Another sync run holds the lease; not starting.");
+  }
+  throw error;
+}
+
+/**
+ * Start a new run or resume an unfinished one. Throws if another run holds
+ * the lease.
+ *
+ * `resume` is true to resume the latest unfinished run, a run id to resume that
+ * run, or false to always start fresh. `stages` limits a new run to some
+ * stages. In a dry run nothing is persisted and runs are never resumed.
+ */
+export async function openRun(database, { resume, stages, dryRun }) {
+  const runs = database.collection("sync_runs");
+  const now = new Date();
+  const leaseOwner = new ObjectId().toHexString();
+
+  let doc = null;
+  if (!dryRun) await prepareRuns(runs, now);
+  if (!dryRun && resume) {
+    let candidateId = null;
+    if (typeof resume === "string") {
+      const found = await runs.findOne({ _id: new ObjectId(resume) });
+      if (!found) throw new Error(`Sync run ${resume} not found.`);
+      if (found.status === "completed") {
+        throw new Error(`Sync run ${resume} already completed.`);
+      }
+      candidateId = found._id;
+    } else {
+      const found = await runs.findOne(
+        { status: "failed" },
+        { sort: { startedAt: -1 } }
+      );
+      // Do not resume a failed run if a newer run has completed since
+      const newer =
+        found &&
+        (await runs.findOne({
+          status: "completed",
+          startedAt: { $gt: found.startedAt },
+        }));
+      if (found && !newer) candidateId = found._id;
+    }
+
+    if (candidateId) {
+      doc = await runs
+        .findOneAndUpdate(
+          { _id: candidateId, status: "failed" },
+          {
+            $set: {
+              status: "running",
+              resumedAt: now,
+              updatedAt: now,
+              leaseUntil: leaseFrom(now),
+              leaseOwner,
+            },
+          },
+          { returnDocument: "after" }
+        )
+        .catch(refuseIfRunning);
+      if (!doc && typeof resume === "string") {
+        throw new Error(`Sync run ${resume} is still running.`);
+      }
+    }
+  }
+
+  const resumed = Boolean(doc);
+  if (doc) {
+    console.log(`Resuming sync run ${doc._id} started at ${doc.startedAt}.`);
+  } else {
+    const selected = stages && stages.length > 0 ? stages : STAGES;
+    doc = {
+      _id: new ObjectId(),
+      status: "running",
+      dryRun: Boolean(dryRun),
+      startedAt: now,
+      updatedAt: now,
+      leaseUntil: leaseFrom(now),
+      leaseOwner,
+      stages: Object.fromEntries(
+        STAGES.map((name) => [
+          name,
+          selected.includes(name) ? emptyStage() : { status: "skipped" },
+        ])
+      ),
+    };
+    if (!dryRun) await runs.insertOne(doc).catch(refuseIfRunning);
+    console.log(
+      `Started sync run ${doc._id} (stages: ${selected.join(", ")}).`
+    );
+  }
+
+  // Write to the run document; fails if another process took the run over
+  // after this one's lease ran out
+  async function save(update) {
+    doc.updatedAt = new Date();
+    if (dryRun) return;
+    const result = await runs.updateOne(
+      { _id: doc._id, leaseOwner },
+      {
+        $set: {
+          ...update,
+          updatedAt: doc.updatedAt,
+          leaseUntil: leaseFrom(doc.updatedAt),
+        },
+      }
+    );
+    if (result.matchedCount === 0) {
+      clearInterval(leaseTimer);
+      throw new Error(`Sync run ${doc._id} lost its lease; stopping.`);
+    }
+  }
+
+  // Keep the lease while a batch takes longer than LEASE_MS
+  const leaseTimer = dryRun
+    ? null
+    : setInterval(() => {
+        runs
+          .updateOne(
+            { _id: doc._id, status: "running", leaseOwner },
+            { $set: { leaseUntil: leaseFrom(new Date()) } }
+          )
+          .catch((error) =>
+            console.error(`Renewing the sync run lease: ${error.message}`)
+          );
+      }, LEASE_RENEW_MS);
+  leaseTimer?.unref();
+
+  return {
+    id: String(doc._id),
+    resumed,
+
+    stage(name) {
+      return doc.stages[name];
+    },
+
+    /**
+     * Persist progress after a batch so a restart continues after `cursor`.
+     * `timing` holds the stage's accumulated duration and RPC call counts.
+     */
+    async checkpoint(name, { cursor, processed, result, timing }) {
+      Object.assign(doc.stages[name], {
+        status: "running",
+        cursor,
+        processed,
+        result,
+        timing,
+      });
+      await save({ [`stages.${name}`]: doc.stages[name] });
+    },
+
+    async completeStage(name, result, timing) {
+      Object.assign(doc.stages[name], {
+        status: "completed",
+        result,
+        timing,
+        completedAt: new Date(),
+      });
+      await save({ [`stages.${name}`]: doc.stages[name] });
+    },
+
+    async complete(summary) {
+      clearInterval(leaseTimer);
+      doc.status = "completed";
+      await save({ status: "completed", completedAt: new Date(), summary });
+    },
+
+    async fail(error) {
+      clearInterval(leaseTimer);
+      doc.status = "failed";
+      await save({ status: "failed", error: error.message || String(error) });
+    },
+  };
+}
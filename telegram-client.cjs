@@ -0,0 +1,180 @@
+const axios = require("axios");
+
+// Outbound Telegram Bot API client. Every call goes through one place so we can
+// respect Telegram's send limits, honour retry_after on 429 and tell permanent
+// failures (blocked bot, deleted chat) apart from ones worth retrying.
+
+const DEFAULT_API_BASE_URL = "https://api.telegram.org";
+const GLOBAL_MESSAGES_PER_SECOND = 30; // Telegram's limit for bulk sends
+const PER_CHAT_INTERVAL_MS = 1000; // At most one message per second per chat
+const MAX_ATTEMPTS = 5;
+const BACKOFF_TIME = 1000;
+const MAX_BACKOFF_TIME = 30000;
+
+// Descriptions Telegram returns when a chat can never be messaged again.
+const PERMANENT_ERRORS = [
+  { pattern: /bot was blocked by the user/i, reason: "blocked" },
+  { pattern: /user is deactivated/i, reason: "deactivated" },
+  { pattern: /chat not found/i, reason: "chat_not_found" },
+  { pattern: /bot was kicked/i, reason: "kicked" },
+  { pattern: /bot can't initiate conversation/i, reason: "not_started" },
+];
+
+class TelegramApiError extends Error {
+  constructor(method, { status, description, retryAfter, reason }) {
+    super(`Telegram ${method} failed: ${description}`);
+    this.name = "TelegramApiError";
+    this.method = method;
+    this.status = status;
+    this.description = description;
+    this.retryAfter = retryAfter;
+    this.reason = reason || null; // Set for permanent errors only
+    this.permanent = Boolean(reason);
+  }
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Turn an axios error into a TelegramApiError with a permanent/retryable verdict.
+ */
+function classifyError(method, error) {
+  const data = error.response?.data;
+  const status = error.response?.status ?? null;
+  const description = data?.description || error.message;
+  const retryAfter = data?.parameters?.retry_after ?? null;
+
+  const permanent =
+    status === 400 || status === 403
+      ? PERMANENT_ERRORS.find(({ pattern }) => pattern.test(description))
+      : null;
+
+  return new TelegramApiError(method, {
+    status,
+    description,
+    retryAfter,
+    reason: permanent?.reason,
+  });
+}
+
+function isRetryable(error) {
+  if (error.permanent) return false;
+  // No status means a network error or timeout
+  return error.status === null || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Create a Telegram client bound to a bot token.
+ *
+ * `onChatUnreachable(chatId, reason)` is called when Telegram reports that a
+ * chat can no longer be messaged, so callers can stop sending to it.
+ */
+function createTelegramClient({
+  token,
+  apiBaseUrl = DEFAULT_API_BASE_URL,
+  onChatUnreachable = async () => {},
+}) {
+  const apiUrl = `${apiBaseUrl}/bot${token}`;
+  const globalInterval = 1000 / GLOBAL_MESSAGES_PER_SECOND;
+  const nextChatSlot = new Map(); // chat id -> earliest time we may send again
+  let nextGlobalSlot = 0;
+
+  /**
+   * Reserve the next send slot for a chat and wait until it arrives.
+   * Slots are reserved synchronously so concurrent callers never share one.
+   */
+  async function waitForSendSlot(chatId) {
+    const now = Date.now();
+    let slot = Math.max(now, nextGlobalSlot);
+    if (chatId !== undefined) {
+      slot = Math.max(slot, nextChatSlot.get(chatId) || 0);
+      nextChatSlot.set(chatId, slot + PER_CHAT_INTERVAL_MS);
+    }
+    nextGlobalSlot = slot + globalInterval;
+
+    if (slot > now) {
+      await delay(slot - now);
+    }
+
+    // Forget chats whose slot has passed so the map does not grow forever
+    if (nextChatSlot.size > 10000) {
+      const cutoff = Date.now();
+      for (const [id, time] of nextChatSlot) {
+        if (time < cutoff) nextChatSlot.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Call a Bot API method, retrying 429s and transient failures.
+   * Throws a TelegramApiError when the call cannot succeed.
+   * Pass `{ signal }` to abort a long-running call such as getUpdates.
+   */
+  async function call(method, payload = {}, { signal } = {}) {
+    const chatId = payload.chat_id;
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      await waitForSendSlot(chatId);
+      try {
+        const response = await axios.post(`${apiUrl}/${method}`, payload, {
+          signal,
+        });
+        return response.data.result;
+      } catch (rawError) {
+        if (signal?.aborted) throw rawError;
+
+        const error = classifyError(method, rawError);
+
+        if (error.permanent) {
+          console.warn(
+            `Chat ${chatId} is unreachable (${error.reason}): ${error.description}`
+          );
+          if (chatId !== undefined) {
+            await onChatUnreachable(chatId, error.reason);
+          }
+          throw error;
+        }
+
+        if (!isRetryable(error) || attempt === MAX_ATTEMPTS) {
+          throw error;
+        }
+
+        const wait = error.retryAfter
+          ? error.retryAfter * 1000
+          : Math.min(BACKOFF_TIME * 2 ** (attempt - 1), MAX_BACKOFF_TIME);
+        console.warn(
+          `${method} failed with ${
+            error.status ?? "network error"
+          }. Attempt ${attempt}/${MAX_ATTEMPTS}. Waiting ${wait}ms before retrying...`
+        );
+
+        if (error.status === 429) {
+          // retry_after applies to the whole bot, so hold every send until then
+          nextGlobalSlot = Math.max(nextGlobalSlot, Date.now() + wait);
+        } else {
+          await delay(wait);
+        }
+      }
+    }
+  }
+
+  function sendMessage(chat_id, text, extra = {}) {
+    return call("sendMessage", { chat_id, text, ...extra });
+  }
+
+  function sendPhoto(chat_id, photo, caption, reply_markup, extra = {}) {
+    return call("sendPhoto", {
+      chat_id,
+      photo,
+      caption,
+      reply_markup,
+      ...extra,
+    });
+  }
+
+  return { call, sendMessage, sendPhoto };
+}
+
+module.exports = { createTelegramClient, TelegramApiError };
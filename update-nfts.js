@@ -1,26 +1,142 @@
 import dotenv from "dotenv";
-import { MongoClient } from "mongodb";
-import { SuiClient, getFullnodeUrl } from "@mysten/sui/client";
+import { MongoClient, ObjectId } from "mongodb";
 import fs from "fs/promises";
-import pLimit from "p-limit";
 import nodemailer from "nodemailer";
+import { formatBalance, formatShare, sityFromRaw } from "./format.cjs";
+import {
+  getNftFields,
+  getStakedSitizens,
+  getDefaultDecoder,
+  buildStakingReport,
+} from "./sitizens.cjs";
+import { createChangePlan } from "./change-plan.js";
+import { openRun, findLiveRun, STAGES } from "./sync-runs.js";
+import { createAdaptiveLimit } from "./adaptive-limit.js";
+import { createNftChangeFeed } from "./nft-change-feed.js";
+import { createChangeEvents } from "./change-events.js";
+import {
+  loadSuiConfig,
+  createSuiProvider,
+  createRandom,
+  saveDatabaseFixture,
+  restoreDatabaseFixture,
+} from "./sui-provider.js";
+import {
+  snapshotDay,
+  shiftDay,
+  takeSnapshot,
+  saveSnapshot,
+  loadSnapshotOnOrBefore,
+  compareSnapshots,
+  formatComparison,
+} from "./snapshots.js";
+import {
+  describeDistribution,
+  formatDistribution,
+  BALANCE_BUCKETS,
+  POPULATION_BUCKETS,
+} from "./distribution.js";
 
 dotenv.config();
 
 // This can be run in Render cron jobs by setting a cron job in Render Dashboard
 // that runs: `node update-nfts.js` at the desired interval.
+//
+// Run `node update-nfts.js --dry-run` (or set DRY_RUN=true) to preview a run:
+// every read happens as usual, but nothing is written to MongoDB, no email is
+// sent, and the planned changes are saved to change_plan.json/change_plan.txt.
+//
+// Runs are checkpointed in the `sync_runs` collection. By default an unfinished
+// run (failed, or dead and its 5-minute lease expired) is resumed where
+// it stopped. A run refuses to start while another one holds the lease.
+// Options:
+//   --fresh                  always start a new run
+//   --resume=<runId>         resume a specific run
+//   --stages=nftSync,balances  run only these stages (in a new run)
+//
+// While the sync is paused from the bot (/pausesync) a run exits without doing
+// anything; pass --ignore-pause to run anyway. --user=<binding id, wallet
+// address or Telegram id> only resyncs that binding's NFT and SITY balance,
+// outside of any run (the bot's /resync starts it this way). It exits the same
+// way while paused, and fails while a sync run holds the lease.
+//
+// With --incremental (or SYNC_MODE=incremental) the NFT sync only re-checks
+// bindings touched by City NFT transactions since the last run, and falls back
+// to a full scan when the stored cursor is missing or stale.
+//
+// The Sui network, RPC URL and package addresses are configured through the
+// environment (see sui-provider.js). With SUI_RPC_MODE=record every RPC
+// response is saved to fixtures, and SUI_RPC_MODE=replay runs the whole sync
+// against them with no network access. Record mode also saves the database
+// state the run started from; a replay only matches the recording when it
+// starts from that state, which --restore-fixture-db restores first (it
+// replaces the bindings, so use a local MongoDB):
+//   SUI_RPC_MODE=replay MONGODB_URI=mongodb://localhost:27017 \
+//     node update-nfts.js --restore-fixture-db
+// Incremental replays also need the recorded cursor to still be younger than
+// NFT_CURSOR_MAX_AGE_MS, or the run falls back to a full scan.
+const DRY_RUN =
+  process.argv.includes("--dry-run") || process.env.DRY_RUN === "true";
+const INCREMENTAL =
+  process.argv.includes("--incremental") ||
+  process.env.SYNC_MODE === "incremental";
+
+function getArgValue(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find((value) => value.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : null;
+}
+
+const RESYNC_USER = getArgValue("user");
+
+// Users are processed in _id order, this many at a time, with a checkpoint
+// after each batch
+const BATCH_SIZE = Number(process.env.SYNC_BATCH_SIZE) || 500;
 
 const uri = process.env.MONGODB_URI;
 const client = new MongoClient(uri);
 
-const provider = new SuiClient({ url: getFullnodeUrl("mainnet") });
-const ADDRESSES = {
-  NFT_TYPE:
-    "0x5b9b4cd82aee3d5a942eebe9c2da38f411d82bfdfea1204f2486e45b5868b44f::nft::City",
-};
-
-// Limit concurrency to help prevent 429 errors
-const limit = pLimit(2);
+const suiConfig = loadSuiConfig();
+const provider = createSuiProvider(suiConfig);
+const random = createRandom(suiConfig.mode);
+const ADDRESSES = suiConfig.addresses;
+
+// Limit concurrency to help prevent 429 errors. The limit starts at 2, halves
+// on every 429 and creeps back up while the node is healthy.
+const limit = createAdaptiveLimit({
+  initial: 2,
+  max: Number(process.env.RPC_MAX_CONCURRENCY) || 8,
+});
+
+// sui_multiGetObjects accepts at most 50 ids per request
+const MULTI_GET_BATCH_SIZE = 50;
+
+// Counted per stage for the report
+const rpcStats = { calls: 0, throttled: 0 };
+
+// A user whose City NFT cannot be found is quarantined first and only deleted
+// after this many consecutive runs confirm the NFT is gone; 0 never deletes
+const nftMissingDeleteAfter = parseInt(
+  process.env.NFT_MISSING_DELETE_AFTER,
+  10
+);
+const NFT_MISSING_DELETE_AFTER = Number.isFinite(nftMissingDeleteAfter)
+  ? nftMissingDeleteAfter
+  : 3;
+
+// The change feed misses transfers that never call the NFT module, so a full
+// scan is forced at least this often
+const NFT_CURSOR_MAX_AGE_MS =
+  (Number(process.env.NFT_CURSOR_MAX_AGE_HOURS) || 24) * 3600 * 1000;
+
+// Players who opted in to notifications hear about their SITY balance moving
+// past any of these amounts
+const BALANCE_NOTIFY_THRESHOLDS = (
+  process.env.BALANCE_NOTIFY_THRESHOLDS || "1000,10000,100000,1000000,10000000"
+)
+  .split(",")
+  .map(Number)
+  .filter((threshold) => threshold > 0);
 
 // Retry parameters
 const MAX_RETRIES = 10;
@@ -35,12 +151,16 @@ async function fetchWithRetry(fetchFn, ...args) {
   while (attempt < MAX_RETRIES) {
     try {
       console.log(`Attempt ${attempt + 1} to fetch data from provider...`);
+      rpcStats.calls++;
       const result = await fetchFn(...args);
       console.log(`Fetch succeeded on attempt ${attempt + 1}.`);
+      limit.onSuccess();
       return result;
     } catch (error) {
       if (error.status === 429) {
         attempt++;
+        rpcStats.throttled++;
+        limit.onThrottle();
         console.warn(
           `Received 429 Too Many Requests. Attempt ${attempt}/${MAX_RETRIES}. Waiting ${BACKOFF_TIME}ms before retrying...`
         );
@@ -56,14 +176,16 @@ async function fetchWithRetry(fetchFn, ...args) {
   );
 }
 
-async function generateRefNumbers(collection, users) {
-  console.log("Generating reference numbers...");
+async function loadUsedRefNumbers(collection) {
   const existingRefs = await collection
     .find({ refNumber: { $exists: true } }, { projection: { refNumber: 1 } })
     .toArray();
   console.log(`Found ${existingRefs.length} users with existing refNumbers.`);
+  return new Set(existingRefs.map((doc) => doc.refNumber));
+}
 
-  const usedRefNumbers = new Set(existingRefs.map((doc) => doc.refNumber));
+async function generateRefNumbers(collection, users, plan, usedRefNumbers) {
+  console.log("Generating reference numbers...");
   let lowerBound = 20000;
   let upperBound = 100000;
 
@@ -77,8 +199,7 @@ async function generateRefNumbers(collection, users) {
       let attemptCount = 0;
       while (true) {
         refNumber =
-          Math.floor(Math.random() * (upperBound - lowerBound + 1)) +
-          lowerBound;
+          Math.floor(random() * (upperBound - lowerBound + 1)) + lowerBound;
         if (!usedRefNumbers.has(refNumber)) {
           usedRefNumbers.add(refNumber);
           console.log(
@@ -99,10 +220,12 @@ async function generateRefNumbers(collection, users) {
           );
         }
       }
+      const update = { $set: { refNumber } };
+      plan.recordUpdate(user, update, "missing refNumber");
       updates.push({
         updateOne: {
           filter: { _id: user._id },
-          update: { $set: { refNumber } },
+          update,
         },
       });
     }
@@ -112,7 +235,7 @@ async function generateRefNumbers(collection, users) {
     console.log(
       `Performing bulk update for ${updates.length} new refNumbers...`
     );
-    await collection.bulkWrite(updates);
+    await plan.bulkWrite(collection, updates);
     console.log("Bulk refNumber assignment completed.");
   } else {
     console.log("No new refNumbers were needed.");
@@ -132,143 +255,234 @@ async function getOwnedObjectsWithRetry(owner, cursor) {
   });
 }
 
-async function getObjectWithRetry(id, options) {
-  console.log(`Fetching object details for ID: ${id}`);
-  return await fetchWithRetry(provider.getObject.bind(provider), {
-    id,
-    options,
-  });
+async function multiGetObjectsWithRetry(ids, options) {
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += MULTI_GET_BATCH_SIZE) {
+    chunks.push(ids.slice(i, i + MULTI_GET_BATCH_SIZE));
+  }
+  const results = await Promise.all(
+    chunks.map((chunk) =>
+      limit(() => {
+        console.log(`Fetching details for ${chunk.length} objects in one call`);
+        return fetchWithRetry(provider.multiGetObjects.bind(provider), {
+          ids: chunk,
+          options,
+        });
+      })
+    )
+  );
+  return results.flat();
 }
 
-async function fetchNftFromWalletCached(provider, walletAddress, nftCache) {
-  if (nftCache[walletAddress] !== undefined) {
-    console.log(
-      `NFT data cached for user ${walletAddress}, using cached data.`
-    );
-    return nftCache[walletAddress];
-  }
+const NFT_OBJECT_OPTIONS = {
+  showContent: true,
+  showType: true,
+  showOwner: true,
+};
+
+function ownerAddress(object) {
+  return object?.data?.owner?.AddressOwner ?? null;
+}
 
+async function findNftObjectIdInWallet(walletAddress) {
   console.log(`Fetching NFTs from wallet: ${walletAddress}`);
-  const allObjects = [];
-  let lastObject = null;
+  let cursor = null;
 
   while (true) {
-    const object = await getOwnedObjectsWithRetry(
-      walletAddress,
-      lastObject?.data?.[lastObject.data.length - 1]?.data?.objectId || null
+    const page = await getOwnedObjectsWithRetry(walletAddress, cursor);
+    console.log(
+      `Fetched ${page.data.length} objects for user ${walletAddress}.`
     );
 
-    console.log(
-      `Fetched ${object.data.length} objects for user ${walletAddress}.`
+    const nftObject = page.data.find(
+      (nft) => String(nft.data?.type) === ADDRESSES.NFT_TYPE
     );
-    allObjects.push(...object.data);
-    if (object.data.length === 0 || !object.nextCursor) {
+    if (nftObject) return nftObject.data.objectId;
+
+    if (page.data.length === 0 || !page.nextCursor) {
       console.log(`No more objects to fetch for user ${walletAddress}.`);
-      break;
+      return null;
     }
-    lastObject = object;
+    cursor = page.nextCursor;
   }
+}
 
-  const nftObject = allObjects.find(
-    (nft) => String(nft.data?.type) === ADDRESSES.NFT_TYPE
+// Resolve the City NFT for each wallet, returning a Map of wallet address to
+// the NFT object response (or null when the wallet holds no City NFT).
+//
+// Wallets whose stored NFT id is still owned by them are confirmed with a
+// batched multiGetObjects call. Only the rest page through their owned objects,
+// and the NFTs found that way are again fetched in batches.
+async function fetchNftsForWallets(users) {
+  const nfts = new Map();
+
+  const knownNftUsers = users.filter((user) => typeof user.nft === "string");
+  const knownObjects = await multiGetObjectsWithRetry(
+    [...new Set(knownNftUsers.map((user) => user.nft))],
+    NFT_OBJECT_OPTIONS
   );
-  if (!nftObject) {
-    console.log(`No matching NFT found for user ${walletAddress}`);
-    nftCache[walletAddress] = null;
-    return null;
+  const knownById = new Map(
+    knownObjects
+      .filter((object) => object.data)
+      .map((object) => [object.data.objectId, object])
+  );
+  for (const user of knownNftUsers) {
+    const object = knownById.get(user.nft);
+    if (
+      object &&
+      String(object.data.type) === ADDRESSES.NFT_TYPE &&
+      ownerAddress(object) === user.walletAddress
+    ) {
+      nfts.set(user.walletAddress, object);
+    }
   }
-
   console.log(
-    `Found NFT object for user ${walletAddress}: ${nftObject.data.objectId}`
+    `Confirmed ${nfts.size}/${knownNftUsers.length} stored NFTs with batched lookups.`
   );
-  const nftData = await getObjectWithRetry(nftObject.data.objectId, {
-    showContent: true,
-    showType: true,
-  });
 
-  console.log(
-    `Fetched NFT details for ${walletAddress}, NFT ID: ${nftObject.data.objectId}`
+  const unresolved = [
+    ...new Set(
+      users
+        .map((user) => user.walletAddress)
+        .filter((address) => !nfts.has(address))
+    ),
+  ];
+  const foundIds = await Promise.all(
+    unresolved.map((walletAddress) =>
+      limit(async () => [
+        walletAddress,
+        await findNftObjectIdInWallet(walletAddress),
+      ])
+    )
   );
-  nftCache[walletAddress] = nftData;
-  return nftData;
+
+  const idsToFetch = foundIds.filter(([, id]) => id).map(([, id]) => id);
+  const fetched = await multiGetObjectsWithRetry(
+    idsToFetch,
+    NFT_OBJECT_OPTIONS
+  );
+  const fetchedById = new Map(
+    fetched
+      .filter((object) => object.data)
+      .map((object) => [object.data.objectId, object])
+  );
+
+  for (const [walletAddress, id] of foundIds) {
+    const object = id ? fetchedById.get(id) ?? null : null;
+    if (object) {
+      console.log(`Found NFT object for user ${walletAddress}: ${id}`);
+    } else {
+      console.log(`No matching NFT found for user ${walletAddress}`);
+    }
+    nfts.set(walletAddress, object);
+  }
+
+  return nfts;
 }
 
-async function updateNftFieldsAndWalletIds(collection, provider, users) {
+// Every user is looked up on chain; stored NFT ids are confirmed with batched
+// multiGetObjects calls, so this is cheap for users that did not change.
+// nftData is rewritten when its content changed, or always with `refreshAll`
+// (as used for the users an incremental run found to be affected).
+async function updateNftFieldsAndWalletIds(
+  collection,
+  provider,
+  users,
+  plan,
+  events,
+  { refreshAll = false, countMisses = true } = {}
+) {
   console.log("Updating NFT fields and wallet IDs where necessary...");
-  const nftCache = {};
   const validUsers = users.filter((u) => u.walletAddress);
 
   console.log(
     `Processing NFT updates for ${validUsers.length} users with wallet addresses...`
   );
-  const results = await Promise.all(
-    validUsers.map((user) =>
-      limit(async () => {
-        // Check if nft field is an object instead of string
-        if (user.nft && typeof user.nft === "object") {
-          console.log(
-            `User ${user.walletAddress} has nft as object, will update to use object ID`
-          );
-          // Force a fetch to get current NFT data
-          const fetchedNft = await fetchNftFromWalletCached(
-            provider,
-            user.walletAddress,
-            nftCache
-          );
-          return { user, fetchedNft, forceUpdate: true };
-        }
+  const nfts = await fetchNftsForWallets(validUsers);
 
-        // Original check for missing data
-        if (
-          user.nft &&
-          user.walletId &&
-          user.nftData &&
-          typeof user.nft === "string"
-        ) {
-          console.log(
-            `User ${user.walletAddress} already has valid NFT, walletId, and nftData, skipping blockchain call.`
-          );
-          return { user, fetchedNft: null, forceUpdate: false };
-        }
-
-        const fetchedNft = await fetchNftFromWalletCached(
-          provider,
-          user.walletAddress,
-          nftCache
-        );
-        return { user, fetchedNft, forceUpdate: false };
-      })
-    )
-  );
+  // Users with an nft object instead of an id string always get fresh nftData
+  const results = validUsers.map((user) => ({
+    user,
+    fetchedNft: nfts.get(user.walletAddress) ?? null,
+    forceUpdate: refreshAll || typeof user.nft === "object",
+  }));
 
   const updates = [];
   let walletIdUpdatedCount = 0;
   let nftFieldUpdatedCount = 0;
+  let quarantinedCount = 0;
+  let restoredCount = 0;
+  let deletedCount = 0;
+  const now = new Date();
   for (const { user, fetchedNft, forceUpdate } of results) {
-    // Skip if no updates needed and not forcing update
-    if (
-      !fetchedNft &&
-      user.nft &&
-      user.walletId &&
-      user.nftData &&
-      !forceUpdate
-    ) {
+    if (!fetchedNft && !countMisses) {
+      // Only scheduled runs count towards quarantine and deletion
       console.log(
-        `No changes needed for user ${user.walletAddress}. Already up-to-date.`
+        `No NFT found for user ${user.walletAddress}; not counted as a miss outside a sync run.`
       );
       continue;
     }
-
     if (!fetchedNft) {
-      // Here, we proved the user doesn't have the NFT (since we tried and didn't find it)
-      // Remove user from the database
+      // The NFT may only be missing for now (RPC glitch, wallet mid-transfer),
+      // so quarantine the user and delete only after repeated confirmed misses
+      const missCount = (user.nftMissingCount || 0) + 1;
+      if (
+        NFT_MISSING_DELETE_AFTER > 0 &&
+        missCount >= NFT_MISSING_DELETE_AFTER
+      ) {
+        console.log(
+          `No NFT found for user ${user.walletAddress} in ${missCount} consecutive runs, removing user from database.`
+        );
+        plan.recordDelete(user, "nft not found");
+        await plan.deleteOne(collection, { _id: user._id });
+        deletedCount++;
+        continue;
+      }
+
       console.log(
-        `No NFT found for user ${user.walletAddress}, removing user from database.`
+        `No NFT found for user ${user.walletAddress} (miss ${missCount}/${NFT_MISSING_DELETE_AFTER}), quarantining user.`
       );
-      await collection.deleteOne({ _id: user._id });
+      const update = {
+        $set: {
+          nftMissingSince: user.nftMissingSince || now,
+          nftMissingCount: missCount,
+          nftLastCheckedAt: now,
+        },
+      };
+      plan.recordUpdate(user, update, "nft not found");
+      updates.push({
+        updateOne: {
+          filter: { _id: user._id },
+          update,
+        },
+      });
+      if (!user.nftMissingSince) {
+        quarantinedCount++;
+        if (typeof user.nft === "string") {
+          events.nftMoved(user, { previousNft: user.nft, nft: null });
+        }
+      }
       continue;
     }
 
+    if (user.nftMissingSince) {
+      console.log(
+        `NFT found again for quarantined user ${user.walletAddress}, restoring user.`
+      );
+      const update = {
+        $unset: { nftMissingSince: "", nftMissingCount: "" },
+        $set: { nftLastCheckedAt: now },
+      };
+      plan.recordUpdate(user, update, "nft found again");
+      updates.push({
+        updateOne: {
+          filter: { _id: user._id },
+          update,
+        },
+      });
+      restoredCount++;
+    }
+
     const fetchedNftId = fetchedNft?.data?.objectId;
     const nftName = fetchedNft?.data?.content?.fields?.name || "Unnamed NFT";
     const walletObjectId = fetchedNft?.data?.content?.fields?.wallet;
@@ -282,6 +496,7 @@ async function updateNftFieldsAndWalletIds(collection, provider, users) {
 
     // Prepare the update document
     const updateDoc = { $set: {} };
+    const reasons = [];
     let needsUpdate = false;
 
     // Check if walletId needs update
@@ -289,6 +504,7 @@ async function updateNftFieldsAndWalletIds(collection, provider, users) {
       updateDoc.$set.walletId = walletObjectId;
       updateDoc.$set.nftName = nftName;
       walletIdUpdatedCount++;
+      reasons.push("walletId changed");
       needsUpdate = true;
     }
 
@@ -301,17 +517,40 @@ async function updateNftFieldsAndWalletIds(collection, provider, users) {
       updateDoc.$set.nft = fetchedNftId;
       updateDoc.$set.nftName = nftName;
       nftFieldUpdatedCount++;
+      reasons.push(typeof user.nft === "object" ? "nft format" : "nft changed");
       needsUpdate = true;
+      if (typeof user.nft === "string" && user.nft !== fetchedNftId) {
+        events.nftMoved(user, {
+          previousNft: user.nft,
+          nft: fetchedNftId,
+          nftName,
+        });
+      }
     }
 
-    // Always update nftData if we fetched new NFT data or forcing update
-    if (!user.nftData || needsUpdate || forceUpdate) {
+    // Staking and building upgrades only change the NFT's content
+    const contentChanged =
+      Boolean(user.nftData) &&
+      JSON.stringify(getNftFields(user)) !==
+        JSON.stringify(getNftFields({ nftData: fetchedNft }));
+    if (!user.nftData || needsUpdate || forceUpdate || contentChanged) {
       updateDoc.$set.nftData = fetchedNft;
+      if (!user.nftData) reasons.push("nftData missing");
+      if (contentChanged) reasons.push("nftData changed");
+      // A different NFT is reported as nft_moved, not as a staking change
+      if (contentChanged && user.nft === fetchedNftId) {
+        events.sitizensChanged(user, fetchedNft);
+      }
       needsUpdate = true;
       console.log(`Updating nftData for user ${user.walletAddress}`);
     }
 
     if (needsUpdate) {
+      plan.recordUpdate(
+        user,
+        updateDoc,
+        reasons.join(", ") || "nftData refresh"
+      );
       updates.push({
         updateOne: {
           filter: { _id: user._id },
@@ -325,207 +564,310 @@ async function updateNftFieldsAndWalletIds(collection, provider, users) {
     console.log(
       `Performing bulk write for ${updates.length} NFT/wallet/nftData updates...`
     );
-    await collection.bulkWrite(updates);
+    await plan.bulkWrite(collection, updates);
     console.log("Bulk NFT/wallet/nftData updates completed.");
+    await events.flush();
   } else {
     console.log("No NFT/wallet/nftData updates needed.");
   }
 
-  return { walletIdUpdatedCount, nftFieldUpdatedCount };
+  return {
+    walletIdUpdatedCount,
+    nftFieldUpdatedCount,
+    quarantinedCount,
+    restoredCount,
+    deletedCount,
+  };
 }
 
-async function fetchSityBalance(provider, walletId) {
-  console.log(`Fetching SITY balance for walletId ${walletId}`);
-  try {
-    const walletObject = await getObjectWithRetry(walletId, {
-      showContent: true,
-    });
-    const sityBalance = walletObject?.data?.content?.fields?.balance || 0;
-    console.log(`Wallet ${walletId} has raw SITY balance: ${sityBalance}`);
-    return sityBalance / 1e3;
-  } catch (err) {
-    console.error(`Error fetching SITY balance for wallet ${walletId}:`, err);
-    return 0;
+// Incremental NFT sync: re-check only the bindings that hold one of the City
+// NFTs changed since `cursor`, or whose wallet is the new owner of one. Returns
+// null if the node rejected the cursor.
+async function syncChangedNfts(collection, feed, cursor, plan, events) {
+  const changes = await feed.collectChanges(cursor);
+  if (changes.rejected) return null;
+  console.log(
+    `Found ${changes.objectIds.length} changed City NFTs in ${changes.transactionCount} transactions and ${changes.eventCount} events.`
+  );
+
+  let result = {};
+  if (changes.objectIds.length > 0) {
+    const objects = await multiGetObjectsWithRetry(
+      changes.objectIds,
+      NFT_OBJECT_OPTIONS
+    );
+    const owners = objects.map(ownerAddress).filter(Boolean);
+    const users = await collection
+      .find({
+        $or: [
+          { nft: { $in: changes.objectIds } },
+          { walletAddress: { $in: owners } },
+        ],
+      })
+      .toArray();
+    console.log(`${users.length} bindings are affected by the changes.`);
+    result = await updateNftFieldsAndWalletIds(
+      collection,
+      provider,
+      users,
+      plan,
+      events,
+      { refreshAll: true }
+    );
   }
+
+  await feed.saveCursor(changes.next);
+  return {
+    ...result,
+    mode: "incremental",
+    changedNftCount: changes.objectIds.length,
+  };
+}
+
+// Fetch SITY balances for many wallet objects with batched multiGetObjects
+// calls. Returns a Map of walletId to { sityBalance, sityBalanceRaw }, where
+// the raw value is the on-chain integer as a string; wallets that cannot be
+// read are left out.
+async function fetchSityBalances(walletIds) {
+  const balances = new Map();
+  const ids = [...new Set(walletIds)];
+  console.log(`Fetching SITY balances for ${ids.length} wallet objects`);
+
+  // An RPC failure fails the batch, so the stage checkpoint retries it
+  const walletObjects = await multiGetObjectsWithRetry(ids, {
+    showContent: true,
+  });
+  walletObjects.forEach((walletObject, i) => {
+    const balance = walletObject?.data?.content?.fields?.balance;
+    if (balance === undefined || balance === null) {
+      // Deleted or unreadable wallet object: keep the stored balance
+      console.warn(
+        `Could not read the SITY balance of wallet ${ids[i]}: ${
+          walletObject?.error?.code || "no balance field"
+        }`
+      );
+      return;
+    }
+    const sityBalanceRaw = String(balance);
+    balances.set(ids[i], {
+      sityBalance: sityFromRaw(sityBalanceRaw),
+      sityBalanceRaw,
+    });
+  });
+  return balances;
 }
 
-// Function to count staked Sitizen NFTs by type
+// Count staked Sitizen NFTs by type with the shared decoder. Only totals and
+// anomaly counts are kept, since the result is stored with the sync run;
+// count-staked-sitizens.js writes the per-wallet report.
 async function countStakedSitizens(collection) {
-  console.log("counting staked sitizen nfts by type...");
+  console.log("Counting staked Sitizen NFTs by type...");
+  const report = await buildStakingReport(collection);
+  const { summary, anomalies } = report;
 
-  // get all documents that have nftData
-  const cursor = collection
-    .find({
-      "nftData.content.fields": { $exists: true },
-    })
-    .project({
-      walletAddress: 1,
-      "nftData.content.fields.extra_nested_data": 1,
-    });
+  console.log(
+    `Scanned ${summary.documentsScanned} documents, ${summary.walletsWithStakedNfts} wallets with staked Sitizens.`
+  );
+  for (const [type, count] of Object.entries(summary.countsByType)) {
+    console.log(`Staked ${type}: ${count}`);
+  }
+  for (const { index, count, wallets } of anomalies.unknownIndexes) {
+    console.warn(
+      `Unknown Sitizen type index ${index}: ${count} staked in ${wallets.length} wallets.`
+    );
+  }
+  if (anomalies.malformed.length > 0) {
+    console.warn(
+      `${anomalies.malformed.length} documents have malformed staking data.`
+    );
+  }
 
-  // initialize counters
-  const types = {
-    total: 0,
-    sivilian: 0, // index 0 - renamed to be consistent with email template
-    general: 0, // index 1
-    officer: 0, // index 2
-    clown: 0, // index 3
-    engineer: 0, // index 4
-    legendary: 0, // index 5
+  return {
+    registryVersion: report.registryVersion,
+    total: summary.totalStakedNfts,
+    counts: summary.countsByType,
+    walletsWithStaked: summary.walletsWithStakedNfts,
+    unknownIndexes: anomalies.unknownIndexes.map(
+      ({ index, count, wallets }) => ({
+        index,
+        count,
+        walletCount: wallets.length,
+      })
+    ),
+    malformedCount: anomalies.malformed.length,
   };
+}
 
-  const usersWithStaked = [];
-  let totalScanned = 0;
-  let docsWithExtraNestedLength2 = 0;
-
-  // manually process each document
-  await cursor.forEach((doc) => {
-    totalScanned++;
+async function storeBalances(collection, provider, users, plan, events) {
+  console.log(`Fetching balances for ${users.length} users...`);
 
-    if (totalScanned % 1000 === 0) {
-      console.log(`scanned ${totalScanned} documents...`);
-    }
+  const balances = await fetchSityBalances(
+    users.filter((user) => user.walletId).map((user) => user.walletId)
+  );
+  const results = users.map((user) => {
+    // null when there is no wallet to read; the stored balance is kept
+    const { sityBalance = null, sityBalanceRaw = null } =
+      (user.walletId && balances.get(user.walletId)) || {};
+    console.log(
+      `User ${user.walletAddress || user._id} SITY balance: ${
+        sityBalance ?? "unknown"
+      }`
+    );
+    if (sityBalance !== null) events.balanceMoved(user, sityBalance);
+    return { user, sityBalance, sityBalanceRaw };
+  });
 
-    try {
-      // check if doc has extra_nested_data
-      if (doc.nftData?.content?.fields?.extra_nested_data) {
-        const extraNestedData = doc.nftData.content.fields.extra_nested_data;
-
-        // check if extra_nested_data has length of 2 (from example, this is how they're structured)
-        if (Array.isArray(extraNestedData) && extraNestedData.length === 2) {
-          docsWithExtraNestedLength2++;
-          const stakedNfts = extraNestedData[1];
-
-          // collect document if it has any staked NFTs
-          let hasStakedNfts = false;
-
-          if (Array.isArray(stakedNfts)) {
-            for (let i = 0; i < stakedNfts.length; i++) {
-              const nftType = stakedNfts[i];
-
-              // FIXED: Count all entries, including "0" which represents civilians
-              types.total++;
-              hasStakedNfts = true;
-
-              // Handle each NFT type as a string
-              if (nftType === "0") {
-                types.sivilian++;
-              } else if (nftType === "1") {
-                types.general++;
-              } else if (nftType === "2") {
-                types.officer++;
-              } else if (nftType === "3") {
-                types.clown++;
-              } else if (nftType === "4") {
-                types.engineer++;
-              } else if (nftType === "5") {
-                types.legendary++;
-              } else {
-                console.log(`unknown nft type: ${nftType}`);
-              }
-            }
-          }
-
-          if (hasStakedNfts) {
-            usersWithStaked.push({
-              walletAddress: doc.walletAddress,
-              staked: stakedNfts,
-            });
-          }
-        }
+  // Store numeric values on each binding so the bot can report and rank them
+  const balanceUpdatedAt = new Date();
+  const balanceUpdates = results.map(
+    ({ user, sityBalance, sityBalanceRaw }) => {
+      const update = {
+        $set: { stakedSitizenCount: getStakedSitizens(user).total },
+      };
+      if (sityBalance !== null) {
+        Object.assign(update.$set, { sityBalance, sityBalanceRaw });
       }
-    } catch (error) {
-      console.error("error processing document:", error);
+      plan.recordUpdate(user, update, "balance sync");
+      if (sityBalance !== null) {
+        update.$set.sityBalanceUpdatedAt = balanceUpdatedAt;
+      }
+      return { updateOne: { filter: { _id: user._id }, update } };
     }
-  });
-
-  console.log(`\ntotal documents scanned: ${totalScanned}`);
-  console.log(
-    `documents with extra_nested_data of length 2: ${docsWithExtraNestedLength2}`
-  );
-  console.log(`users with at least one staked nft: ${usersWithStaked.length}`);
-  console.log(`total staked sitizens: ${types.total}`);
-  console.log(`staked civilians: ${types.sivilian}`);
-  console.log(`staked generals: ${types.general}`);
-  console.log(`staked officers: ${types.officer}`);
-  console.log(`staked clowns: ${types.clown}`);
-  console.log(`staked engineers: ${types.engineer}`);
-  console.log(`staked legendaries: ${types.legendary}`);
-  console.log(
-    `sivilians: ${types.sivilian}, generals: ${types.general}, officers: ${types.officer}`
   );
+  if (balanceUpdates.length > 0) {
+    console.log(`Storing SITY balances for ${balanceUpdates.length} users...`);
+    await plan.bulkWrite(collection, balanceUpdates);
+    console.log("SITY balances stored.");
+    await events.flush();
+  }
 
-  return types;
+  return results;
 }
 
-function formatBalance(balance) {
-  if (balance >= 1e12) return (balance / 1e12).toFixed(2) + "t";
-  if (balance >= 1e9) return (balance / 1e9).toFixed(2) + "b";
-  if (balance >= 1e6) return (balance / 1e6).toFixed(2) + "m";
-  if (balance >= 1e3) return (balance / 1e3).toFixed(2) + "k";
-  return balance.toFixed(2);
+// Competition ranks ("1224") over `field`, highest first, matching how the bot
+// ranks users: one more than the number of users with a higher value
+function assignRanks(records, field, rankField) {
+  const sorted = [...records].sort((a, b) => b[field] - a[field]);
+  sorted.forEach((record, i) => {
+    const previous = sorted[i - 1];
+    record[rankField] =
+      previous && previous[field] === record[field]
+        ? previous[rankField]
+        : i + 1;
+  });
 }
 
-async function fetchAndStoreBalances(collection, provider) {
-  console.log("Fetching balances for all users...");
-  const users = await collection.find().toArray();
-  console.log(`Found ${users.length} users to process for balances.`);
-
-  const results = await Promise.all(
-    users.map((user) =>
-      limit(async () => {
-        const sityBalance = user.walletId
-          ? await fetchSityBalance(provider, user.walletId)
-          : 0;
-        console.log(
-          `User ${user.walletAddress || user._id} SITY balance: ${sityBalance}`
-        );
-        return { user, sityBalance };
-      })
+// Build balances.json, sorted_balances.json and distribution.json from the
+// balances stored on each binding. `balanceOverrides` holds balances fetched
+// in this process that were not written to MongoDB (dry run).
+//
+// Every record carries numeric values (and the raw on-chain integer for SITY)
+// with a display string next to them. Quarantined users are listed but not
+// ranked, as on the bot's leaderboard.
+async function writeBalanceReport(collection, balanceOverrides, plan) {
+  console.log("Building balance report from stored balances...");
+  const users = await collection
+    .find(
+      {},
+      {
+        projection: {
+          twitterId: 1,
+          walletAddress: 1,
+          population: 1,
+          sityBalance: 1,
+          sityBalanceRaw: 1,
+          nftMissingSince: 1,
+        },
+      }
     )
-  );
+    .toArray();
+  console.log(`Found ${users.length} users for the balance report.`);
+
+  const results = users.map((user) => {
+    const override = balanceOverrides.get(String(user._id));
+    return {
+      user,
+      sityBalance: override?.sityBalance ?? user.sityBalance ?? 0,
+      sityBalanceRaw: override?.sityBalanceRaw ?? user.sityBalanceRaw ?? null,
+    };
+  });
 
   let totalBalance = 0;
+  let totalBalanceRaw = 0n;
   let totalPopulation = 0;
 
-  for (const { user, sityBalance } of results) {
+  for (const { user, sityBalance, sityBalanceRaw } of results) {
     totalBalance += sityBalance;
+    totalBalanceRaw += BigInt(sityBalanceRaw ?? 0);
     totalPopulation += user.population || 0;
   }
 
   console.log(`Total SITY Balance across all users: ${totalBalance}`);
   console.log(`Total Population across all users: ${totalPopulation}`);
 
-  const userBalances = results.map(({ user, sityBalance }) => {
-    const percentageHolding =
-      totalBalance > 0 ? (sityBalance / totalBalance) * 100 : 0;
+  const userBalances = results.map(({ user, sityBalance, sityBalanceRaw }) => {
+    const population = user.population || 0;
+    const holdingShare = totalBalance > 0 ? sityBalance / totalBalance : 0;
     return {
       twitterId: user.twitterId,
       walletAddress: user.walletAddress,
-      sityBalance: formatBalance(sityBalance),
-      population: user.population || 0,
-      percentageHolding: percentageHolding.toFixed(2) + "%",
+      quarantined: Boolean(user.nftMissingSince),
+      sityBalance,
+      sityBalanceRaw,
+      sityBalanceDisplay: formatBalance(sityBalance),
+      population,
+      populationDisplay: formatBalance(population),
+      percentageHolding: holdingShare * 100,
+      percentageHoldingDisplay: formatShare(holdingShare),
     };
   });
 
-  const parseBalance = (val) => {
-    const num = parseFloat(val.replace(/k|m/g, ""));
-    if (val.includes("m")) return num * 1e6;
-    if (val.includes("k")) return num * 1e3;
-    return num;
-  };
+  const ranked = userBalances.filter((record) => !record.quarantined);
+  assignRanks(ranked, "sityBalance", "sityBalanceRank");
+  assignRanks(ranked, "population", "populationRank");
+  for (const record of userBalances) {
+    record.sityBalanceRank ??= null;
+    record.populationRank ??= null;
+  }
 
   userBalances.sort(
-    (a, b) => parseBalance(b.sityBalance) - parseBalance(a.sityBalance)
+    (a, b) =>
+      b.sityBalance - a.sityBalance ||
+      String(a.walletAddress).localeCompare(String(b.walletAddress))
   );
   console.log("Sorted user balances by descending SITY balance.");
 
   const output = {
-    totalPopulation: formatBalance(totalPopulation),
-    totalSityBalance: formatBalance(totalBalance),
+    totalPopulation,
+    totalPopulationDisplay: formatBalance(totalPopulation),
+    totalSityBalance: totalBalance,
+    totalSityBalanceRaw: String(totalBalanceRaw),
+    totalSityBalanceDisplay: formatBalance(totalBalance),
     userBalances,
   };
 
+  // Quarantined users are left out, as from the daily snapshot, so both count
+  // the same holders
+  const active = results.filter(({ user }) => !user.nftMissingSince);
+  const distribution = {
+    generatedAt: new Date().toISOString(),
+    sityBalance: describeDistribution(
+      active.map(({ sityBalance }) => sityBalance),
+      BALANCE_BUCKETS
+    ),
+    population: describeDistribution(
+      active.map(({ user }) => user.population || 0),
+      POPULATION_BUCKETS
+    ),
+  };
+
+  if (plan.dryRun) {
+    console.log(
+      "[dry run] Skipping balances.json, sorted_balances.json and distribution.json."
+    );
+    return { ...output, distribution };
+  }
+
   await fs.writeFile("balances.json", JSON.stringify(output, null, 2), "utf8");
   console.log("Wrote balances.json file.");
 
@@ -536,7 +878,14 @@ async function fetchAndStoreBalances(collection, provider) {
   );
   console.log("Wrote sorted_balances.json file.");
 
-  return output;
+  await fs.writeFile(
+    "distribution.json",
+    JSON.stringify(distribution, null, 2),
+    "utf8"
+  );
+  console.log("Wrote distribution.json file.");
+
+  return { ...output, distribution };
 }
 
 async function sendEmail(summary, runTime) {
@@ -551,32 +900,99 @@ async function sendEmail(summary, runTime) {
     },
   });
 
+  const quarantinedList =
+    summary.quarantinedUsers
+      .map((user) => {
+        const since = user.nftMissingSince.toISOString();
+        return `- ${user.walletAddress} missing since ${since} (${user.nftMissingCount}/${NFT_MISSING_DELETE_AFTER} misses)`;
+      })
+      .join("\n") || "None";
+
+  const stageTimings = Object.entries(summary.stages)
+    .map(([name, { status, timing }]) => {
+      if (!timing) return `- ${name}: ${status}`;
+      const seconds = (timing.durationMs / 1000).toFixed(1);
+      return `- ${name}: ${status} in ${seconds}s, ${timing.rpcCalls} RPC calls (${timing.rpcThrottled} throttled)`;
+    })
+    .join("\n");
+
+  const sitizenTypes = getDefaultDecoder().registry.types;
+  const stakedByType = sitizenTypes
+    .map(
+      (type) =>
+        `- ${type.name}: ${summary.stakedSitizens.counts?.[type.key] || 0}`
+    )
+    .join("\n");
+  const unknownSitizenTypes =
+    (summary.stakedSitizens.unknownIndexes || [])
+      .map(
+        ({ index, count, walletCount }) =>
+          `index ${index} (${count} staked, ${walletCount} wallets)`
+      )
+      .join(", ") || "None";
+
+  const nftSyncLine =
+    summary.nftSync.mode === "incremental"
+      ? `incremental (${summary.nftSync.changedNftCount} changed NFTs)`
+      : `full scan${
+          summary.nftSync.fallbackReason
+            ? ` (${summary.nftSync.fallbackReason})`
+            : ""
+        }`;
+
   const subject = "NFT & Wallet Update Summary";
   const text = `
-Summary Report:
+Summary Report (run ${summary.runId}${summary.resumed ? ", resumed" : ""}):
+- NFT Sync: ${nftSyncLine}
 - Reference Numbers Generated: ${summary.refNumberGeneratedCount}
 - Wallet IDs Updated: ${summary.walletIdUpdatedCount}
 - NFT Fields Updated: ${summary.nftFieldUpdatedCount}
-- Total Population: ${summary.totalPopulation}
-- Total SITY Balance: ${summary.totalSityBalance}
+- Users Quarantined (NFT not found): ${summary.quarantinedCount}
+- Users Restored (NFT found again): ${summary.restoredCount}
+- Users Deleted (NFT missing ${NFT_MISSING_DELETE_AFTER} runs in a row): ${
+    summary.deletedCount
+  }
+- Player Notifications Queued: ${summary.changeEventCount}
+- Total Population: ${formatBalance(summary.totalPopulation)}
+- Total SITY Balance: ${formatBalance(summary.totalSityBalance)}
 
-Staked Sitizen NFTs:
+Staked Sitizen NFTs (type registry v${summary.stakedSitizens.registryVersion}):
 - Total Staked: ${summary.stakedSitizens.total}
-- Sivilians: ${summary.stakedSitizens.sivilian}
-- Generals: ${summary.stakedSitizens.general}
-- Officers: ${summary.stakedSitizens.officer}
-- Clowns: ${summary.stakedSitizens.clown}
-- Engineers: ${summary.stakedSitizens.engineer}
-- Legendary: ${summary.stakedSitizens.legendary}
+${stakedByType}
+- Unknown Type Indexes: ${unknownSitizenTypes}
+- Documents With Malformed Staking Data: ${
+    summary.stakedSitizens.malformedCount
+  }
 
 Duplicate Wallet Addresses: ${
     summary.duplicateWalletAddresses.join(", ") || "None"
   }
 Duplicate Telegram IDs: ${summary.duplicateTelegramIds.join(", ") || "None"}
 
+Quarantined Users (${summary.quarantinedUsers.length}):
+${quarantinedList}
+
+${formatDistribution(
+  "SITY Balance Distribution",
+  summary.distribution.sityBalance
+)}
+
+${formatDistribution(
+  "Population Distribution",
+  summary.distribution.population
+)}
+
+${formatComparison("Day over Day", summary.snapshotDeltas.dayOverDay)}
+
+${formatComparison("Week over Week", summary.snapshotDeltas.weekOverWeek)}
+
+Stage Timings:
+${stageTimings}
+
 Script Run Time: ${runTime.minutes} minutes and ${runTime.seconds} seconds
 
-Check attached sorted_balances.json for detailed balances report.
+Check attached sorted_balances.json for detailed balances report and
+distribution.json for the full distribution statistics.
 `;
 
   console.log("Sending email with summary and attachment...");
@@ -590,32 +1006,221 @@ Check attached sorted_balances.json for detailed balances report.
         filename: "sorted_balances.json",
         path: "./sorted_balances.json",
       },
+      {
+        filename: "distribution.json",
+        path: "./distribution.json",
+      },
     ],
   });
   console.log("Email sent successfully!");
 }
 
+function addCounts(total, counts) {
+  const sum = { ...(total || {}) };
+  for (const [key, value] of Object.entries(counts)) {
+    sum[key] = (sum[key] || 0) + value;
+  }
+  return sum;
+}
+
+// Time and RPC usage of a piece of stage work, added to the stage's totals
+async function measure(timing, fn) {
+  const startedAt = Date.now();
+  const calls = rpcStats.calls;
+  const throttled = rpcStats.throttled;
+  try {
+    return await fn();
+  } finally {
+    timing.durationMs = (timing.durationMs || 0) + Date.now() - startedAt;
+    timing.rpcCalls = (timing.rpcCalls || 0) + rpcStats.calls - calls;
+    timing.rpcThrottled =
+      (timing.rpcThrottled || 0) + rpcStats.throttled - throttled;
+  }
+}
+
+// Run a stage over every user in _id order, BATCH_SIZE at a time, saving a
+// checkpoint after each batch. A resumed stage continues after the last
+// checkpointed user; a completed stage is not run again.
+async function runBatchedStage(run, name, collection, processBatch) {
+  const stage = run.stage(name);
+  if (stage.status === "completed" || stage.status === "skipped") {
+    console.log(`Stage ${name} already ${stage.status}, not running it.`);
+    return stage.result;
+  }
+
+  let { cursor, processed, result } = stage;
+  const timing = { ...stage.timing };
+  processed = processed || 0;
+  if (cursor) {
+    console.log(
+      `Resuming stage ${name} after user ${cursor} (${processed} done).`
+    );
+  }
+
+  while (true) {
+    const batch = await collection
+      .find(cursor ? { _id: { $gt: cursor } } : {})
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .toArray();
+    if (batch.length === 0) break;
+
+    result = addCounts(
+      result,
+      await measure(timing, () => processBatch(batch))
+    );
+    cursor = batch[batch.length - 1]._id;
+    processed += batch.length;
+    await run.checkpoint(name, { cursor, processed, result, timing });
+    console.log(`Stage ${name}: processed ${processed} users.`);
+  }
+
+  await run.completeStage(name, result || {}, timing);
+  return result || {};
+}
+
+async function runStage(run, name, fn) {
+  const stage = run.stage(name);
+  if (stage.status === "completed" || stage.status === "skipped") {
+    console.log(`Stage ${name} already ${stage.status}, not running it.`);
+    return stage.result;
+  }
+  const timing = {};
+  const result = await measure(timing, fn);
+  await run.completeStage(name, result, timing);
+  return result;
+}
+
+// The nftSync stage: incremental when requested and the feed cursor is usable,
+// otherwise a full batched scan that leaves the feed positioned at the point
+// where the scan started. A partly done full scan is always resumed as one.
+async function runNftSyncStage(run, collection, feed, plan, events) {
+  const stage = run.stage("nftSync");
+  if (stage.status === "completed" || stage.status === "skipped") {
+    console.log(`Stage nftSync already ${stage.status}, not running it.`);
+    return stage.result;
+  }
+
+  let fallbackReason = "incremental mode not requested";
+  if (INCREMENTAL && !stage.cursor) {
+    const cursor = await feed.loadCursor();
+    fallbackReason = feed.staleReason(cursor);
+    if (!fallbackReason) {
+      console.log("Running incremental NFT sync from the stored cursor...");
+      const timing = {};
+      const result = await measure(timing, () =>
+        syncChangedNfts(collection, feed, cursor, plan, events)
+      );
+      if (result) {
+        await run.completeStage("nftSync", result, timing);
+        return result;
+      }
+      fallbackReason = "cursor rejected by the node";
+    }
+    console.log(`Falling back to a full NFT scan: ${fallbackReason}.`);
+  }
+
+  const pending = await feed.beginFullScan(run.id);
+  const result = await runBatchedStage(run, "nftSync", collection, (users) =>
+    updateNftFieldsAndWalletIds(collection, provider, users, plan, events)
+  );
+  await feed.finishFullScan(run.id, pending);
+  return { ...result, mode: "full", fallbackReason };
+}
+
+async function findDuplicates(collection, field) {
+  const groups = await collection
+    .aggregate([
+      { $match: { [field]: { $exists: true, $nin: [null, ""] } } },
+      // Telegram ids are stored as strings or numbers; group them together,
+      // as the bot's /duplicates does
+      {
+        $group: {
+          _id:
+            field === "telegramId" ? { $toString: "$telegramId" } : `$${field}`,
+          count: { $sum: 1 },
+        },
+      },
+      { $match: { count: { $gt: 1 } } },
+    ])
+    .toArray();
+  return groups.map((group) => String(group._id));
+}
+
+// Resync one binding, found by its id, wallet address or Telegram id (stored
+// as a string or a number), without opening a sync run. A missing NFT is
+// reported but not counted towards quarantine.
+async function resyncUser(database, collection, identifier) {
+  let filter;
+  if (/^[0-9a-f]{24}$/i.test(identifier)) {
+    filter = { _id: new ObjectId(identifier) };
+  } else if (/^\d+$/.test(identifier)) {
+    filter = { telegramId: { $in: [identifier, Number(identifier)] } };
+  } else {
+    filter = { walletAddress: identifier };
+  }
+  const user = await collection.findOne(filter);
+  if (!user) throw new Error(`No binding found for ${identifier}.`);
+
+  const plan = createChangePlan({ dryRun: DRY_RUN });
+  const events = createChangeEvents({
+    database,
+    runId: `resync-${user._id}-${Date.now()}`,
+    dryRun: DRY_RUN,
+    balanceThresholds: BALANCE_NOTIFY_THRESHOLDS,
+  });
+  console.log(`Resyncing binding ${user._id} (${user.walletAddress})...`);
+  await updateNftFieldsAndWalletIds(
+    collection,
+    provider,
+    [user],
+    plan,
+    events,
+    { refreshAll: true, countMisses: false }
+  );
+
+  // The balance needs the walletId and nftData stored by the NFT sync
+  const refreshed = DRY_RUN
+    ? plan.applyPending(user)
+    : await collection.findOne({ _id: user._id });
+  if (!refreshed) {
+    console.log(`Binding ${user._id} was deleted: its City NFT is gone.`);
+    return;
+  }
+  await storeBalances(collection, provider, [refreshed], plan, events);
+  if (DRY_RUN) console.log(plan.formatSummary());
+  console.log(`Resync of binding ${user._id} completed.`);
+}
+
 async function main() {
   const startTime = Date.now();
+  const plan = createChangePlan({ dryRun: DRY_RUN });
+  if (DRY_RUN) {
+    console.log("Running in dry-run mode: no changes will be written.");
+  }
 
-  let refNumberGeneratedCount = 0;
-  let walletIdUpdatedCount = 0;
-  let nftFieldUpdatedCount = 0;
-  let duplicateWalletAddresses = [];
-  let duplicateTelegramIds = [];
-  let totalPopulation = 0;
-  let totalSityBalance = "";
-  let stakedSitizens = {
-    total: 0,
-    sivilian: 0,
-    general: 0,
-    officer: 0,
-    clown: 0,
-    engineer: 0,
-    legendary: 0,
-  };
+  const stagesArg = getArgValue("stages");
+  const stages = stagesArg ? stagesArg.split(",") : null;
+  const resume =
+    getArgValue("resume") || (!stages && !process.argv.includes("--fresh"));
+
+  let run = null;
 
   try {
+    const unknownStages = (stages || []).filter(
+      (name) => !STAGES.includes(name)
+    );
+    if (unknownStages.length > 0) {
+      throw new Error(
+        `Unknown stages: ${unknownStages.join(", ")}. Valid: ${STAGES.join(
+          ", "
+        )}`
+      );
+    }
+
+    console.log(
+      `Using Sui ${suiConfig.network} at ${suiConfig.rpcUrl} (${suiConfig.mode} mode).`
+    );
     console.log("Connecting to MongoDB...");
     await client.connect();
     console.log("Connected to MongoDB successfully.");
@@ -623,53 +1228,140 @@ async function main() {
     const database = client.db("twitter_bindings");
     const collection = database.collection("bindings");
 
-    console.log("Backing up the current 'bindings' collection...");
-    await database
-      .collection("bindings")
-      .aggregate([{ $match: {} }, { $out: "bindings_backup" }])
-      .toArray();
-    console.log("Backup completed successfully.");
+    if (suiConfig.mode === "record") {
+      await saveDatabaseFixture(database, suiConfig.fixturesDir);
+    } else if (process.argv.includes("--restore-fixture-db")) {
+      if (suiConfig.mode !== "replay") {
+        throw new Error(
+          "--restore-fixture-db only works with SUI_RPC_MODE=replay"
+        );
+      }
+      await restoreDatabaseFixture(database, suiConfig.fixturesDir);
+    } else if (suiConfig.mode === "replay") {
+      console.log(
+        "Replaying against the current database; pass --restore-fixture-db to start from the recorded state."
+      );
+    }
+
+    const pause = await database
+      .collection("bot_state")
+      .findOne({ _id: "syncPause" });
+    if (pause && !process.argv.includes("--ignore-pause")) {
+      const paused = `Sync paused by ${
+        pause.pausedBy
+      } at ${pause.pausedAt.toISOString()}${
+        pause.reason ? ` (${pause.reason})` : ""
+      }`;
+      // A resync is asked for by someone waiting on the result, so it fails
+      if (RESYNC_USER) throw new Error(`${paused}; not resyncing.`);
+      console.log(
+        `${paused}; skipping this run. Use --ignore-pause to run anyway.`
+      );
+      return;
+    }
+
+    if (RESYNC_USER) {
+      const liveRun = await findLiveRun(database);
+      if (liveRun) {
+        throw new Error(
+          `Sync run ${liveRun._id} is in progress; resync ${RESYNC_USER} after it finishes.`
+        );
+      }
+      await resyncUser(database, collection, RESYNC_USER);
+      return;
+    }
 
-    console.log("Fetching all documents from 'bindings'...");
-    const users = await collection.find().toArray();
-    console.log(`Total users fetched: ${users.length}`);
+    run = await openRun(database, { resume, stages, dryRun: DRY_RUN });
+    const events = createChangeEvents({
+      database,
+      runId: run.id,
+      dryRun: DRY_RUN,
+      balanceThresholds: BALANCE_NOTIFY_THRESHOLDS,
+    });
+
+    if (DRY_RUN) {
+      console.log("[dry run] Skipping backup of the 'bindings' collection.");
+    } else if (run.resumed) {
+      console.log("Resumed run: keeping the backup taken when it started.");
+    } else {
+      console.log("Backing up the current 'bindings' collection...");
+      await database
+        .collection("bindings")
+        .aggregate([{ $match: {} }, { $out: "bindings_backup" }])
+        .toArray();
+      console.log("Backup completed successfully.");
+    }
 
     console.log("Generating unique reference numbers if needed...");
-    refNumberGeneratedCount = await generateRefNumbers(collection, users);
+    let usedRefNumbers = null;
+    const refResult = await runBatchedStage(
+      run,
+      "refNumbers",
+      collection,
+      async (users) => {
+        usedRefNumbers ??= await loadUsedRefNumbers(collection);
+        const generated = await generateRefNumbers(
+          collection,
+          users,
+          plan,
+          usedRefNumbers
+        );
+        return { generated };
+      }
+    );
+    const refNumberGeneratedCount = refResult?.generated || 0;
     console.log(`Reference numbers generated: ${refNumberGeneratedCount}`);
 
     console.log("Updating NFT fields and wallet IDs...");
-    const nftUpdateResult = await updateNftFieldsAndWalletIds(
-      collection,
-      provider,
-      users
-    );
-    walletIdUpdatedCount = nftUpdateResult.walletIdUpdatedCount;
-    nftFieldUpdatedCount = nftUpdateResult.nftFieldUpdatedCount;
+    const nftFeed = createNftChangeFeed({
+      database,
+      rpc: (method, params) =>
+        limit(() => fetchWithRetry(provider[method].bind(provider), params)),
+      nftType: ADDRESSES.NFT_TYPE,
+      maxAgeMs: NFT_CURSOR_MAX_AGE_MS,
+      dryRun: DRY_RUN,
+    });
+    const nftUpdateResult =
+      (await runNftSyncStage(run, collection, nftFeed, plan, events)) || {};
+    const walletIdUpdatedCount = nftUpdateResult.walletIdUpdatedCount || 0;
+    const nftFieldUpdatedCount = nftUpdateResult.nftFieldUpdatedCount || 0;
+    const quarantinedCount = nftUpdateResult.quarantinedCount || 0;
+    const restoredCount = nftUpdateResult.restoredCount || 0;
+    const deletedCount = nftUpdateResult.deletedCount || 0;
+    const nftSync = {
+      mode: nftUpdateResult.mode || "full",
+      changedNftCount: nftUpdateResult.changedNftCount ?? null,
+      fallbackReason: nftUpdateResult.fallbackReason ?? null,
+    };
     console.log(
       `Wallet IDs Updated: ${walletIdUpdatedCount}, NFT Fields Updated: ${nftFieldUpdatedCount}`
     );
 
-    console.log("Checking for duplicate addresses and Telegram IDs...");
-    const walletAddressCount = {};
-    const telegramIdCount = {};
-    for (const user of users) {
-      if (user.walletAddress) {
-        walletAddressCount[user.walletAddress] =
-          (walletAddressCount[user.walletAddress] || 0) + 1;
-      }
-      if (user.telegramId) {
-        telegramIdCount[user.telegramId] =
-          (telegramIdCount[user.telegramId] || 0) + 1;
-      }
-    }
+    console.log(
+      `Quarantined: ${quarantinedCount}, Restored: ${restoredCount}, Deleted: ${deletedCount}`
+    );
+
+    const quarantinedUsers = await collection
+      .find(
+        { nftMissingSince: { $exists: true } },
+        {
+          projection: {
+            walletAddress: 1,
+            nftMissingSince: 1,
+            nftMissingCount: 1,
+          },
+        }
+      )
+      .sort({ nftMissingSince: 1 })
+      .toArray();
+    console.log(`Users currently quarantined: ${quarantinedUsers.length}`);
 
-    duplicateWalletAddresses = Object.entries(walletAddressCount)
-      .filter(([, count]) => count > 1)
-      .map(([addr]) => addr);
-    duplicateTelegramIds = Object.entries(telegramIdCount)
-      .filter(([, count]) => count > 1)
-      .map(([id]) => id);
+    console.log("Checking for duplicate addresses and Telegram IDs...");
+    const duplicateWalletAddresses = await findDuplicates(
+      collection,
+      "walletAddress"
+    );
+    const duplicateTelegramIds = await findDuplicates(collection, "telegramId");
 
     if (duplicateWalletAddresses.length > 0) {
       console.log(
@@ -687,27 +1379,103 @@ async function main() {
     }
 
     console.log("Counting staked Sitizen NFTs...");
-    stakedSitizens = await countStakedSitizens(collection);
+    const stakedSitizens = (await runStage(run, "stakingCount", () =>
+      countStakedSitizens(collection)
+    )) || {
+      registryVersion: getDefaultDecoder().registry.version,
+      total: 0,
+      counts: {},
+      walletsWithStaked: 0,
+      unknownIndexes: [],
+      malformedCount: 0,
+    };
     console.log(`Total staked Sitizens: ${stakedSitizens.total}`);
 
     console.log("Fetching and storing balances...");
-    const balanceResult = await fetchAndStoreBalances(collection, provider);
-    totalPopulation = balanceResult.totalPopulation;
-    totalSityBalance = balanceResult.totalSityBalance;
+    const balanceOverrides = new Map();
+    await runBatchedStage(run, "balances", collection, async (batch) => {
+      // A dry run did not store the NFT stage's changes; apply them here so
+      // the plan matches a real run
+      const users = batch.map(plan.applyPending).filter(Boolean);
+      const results = await storeBalances(
+        collection,
+        provider,
+        users,
+        plan,
+        events
+      );
+      const withBalance = results.filter(
+        ({ sityBalance }) => sityBalance !== null
+      );
+      if (DRY_RUN) {
+        withBalance.forEach(({ user, sityBalance, sityBalanceRaw }) =>
+          balanceOverrides.set(String(user._id), {
+            sityBalance,
+            sityBalanceRaw,
+          })
+        );
+      }
+      return { usersWithBalance: withBalance.length };
+    });
+
+    const balanceResult = await writeBalanceReport(
+      collection,
+      balanceOverrides,
+      plan
+    );
+    const totalPopulation = balanceResult.totalPopulation;
+    const totalSityBalance = balanceResult.totalSityBalance;
+    const distribution = balanceResult.distribution;
     console.log(
       `Total Population: ${totalPopulation}, Total SITY Balance: ${totalSityBalance}`
     );
 
+    console.log("Taking today's balance snapshot...");
+    const snapshot = {
+      day: snapshotDay(),
+      entries: await takeSnapshot(collection, balanceOverrides),
+    };
+    await saveSnapshot(database, snapshot.day, snapshot.entries, {
+      dryRun: DRY_RUN,
+    });
+    const compareWith = async (days) => {
+      const previous = await loadSnapshotOnOrBefore(
+        database,
+        shiftDay(snapshot.day, -days)
+      );
+      return previous ? compareSnapshots(snapshot, previous) : null;
+    };
+    const snapshotDeltas = {
+      dayOverDay: await compareWith(1),
+      weekOverWeek: await compareWith(7),
+    };
+
     console.log("All operations completed successfully. Preparing summary...");
     const summary = {
+      runId: run.id,
+      resumed: run.resumed,
+      stages: Object.fromEntries(
+        STAGES.map((name) => [
+          name,
+          { status: run.stage(name).status, timing: run.stage(name).timing },
+        ])
+      ),
+      nftSync,
       refNumberGeneratedCount,
       walletIdUpdatedCount,
       nftFieldUpdatedCount,
+      quarantinedCount,
+      restoredCount,
+      deletedCount,
+      quarantinedUsers,
       duplicateWalletAddresses,
       duplicateTelegramIds,
       totalPopulation,
       totalSityBalance,
       stakedSitizens,
+      snapshotDeltas,
+      distribution,
+      changeEventCount: events.count(),
     };
 
     const endTime = Date.now();
@@ -715,11 +1483,62 @@ async function main() {
     const runMinutes = Math.floor(elapsedTimeMs / 60000);
     const runSeconds = ((elapsedTimeMs % 60000) / 1000).toFixed(0);
 
-    console.log("Sending summary email...");
-    await sendEmail(summary, { minutes: runMinutes, seconds: runSeconds });
-    console.log("Summary email sent successfully!");
+    if (DRY_RUN) {
+      await plan.writeFiles("change_plan.json", "change_plan.txt");
+      console.log(plan.formatSummary());
+      console.log("[dry run] Skipping summary email.");
+    } else if (suiConfig.mode === "replay") {
+      console.log("[replay] Skipping summary email for an offline run.");
+    } else {
+      console.log("Sending summary email...");
+      await sendEmail(summary, { minutes: runMinutes, seconds: runSeconds });
+      console.log("Summary email sent successfully!");
+    }
+
+    await run.complete({
+      nftSync,
+      refNumberGeneratedCount,
+      walletIdUpdatedCount,
+      nftFieldUpdatedCount,
+      quarantinedCount,
+      restoredCount,
+      deletedCount,
+      quarantinedUserCount: quarantinedUsers.length,
+      changeEventCount: events.count(),
+      duplicateWalletAddresses,
+      duplicateTelegramIds,
+      totalPopulation,
+      totalSityBalance,
+      stakedSitizens,
+      distribution: Object.fromEntries(
+        ["sityBalance", "population"].map((field) => {
+          const { median, top10Share, top100Share, gini } = distribution[field];
+          return [field, { median, top10Share, top100Share, gini }];
+        })
+      ),
+      // Full lists stay in the email; the run keeps the totals
+      snapshotDeltas: Object.fromEntries(
+        Object.entries(snapshotDeltas).map(([period, comparison]) => [
+          period,
+          comparison && {
+            fromDay: comparison.fromDay,
+            toDay: comparison.toDay,
+            deltas: comparison.deltas,
+            newHolderCount: comparison.newHolders.length,
+            departedHolderCount: comparison.departedHolders.length,
+          },
+        ])
+      ),
+    });
   } catch (error) {
     console.error("Error in main execution:", error);
+    if (run) {
+      await run.fail(error).catch((saveError) => {
+        console.error("Could not mark sync run as failed:", saveError);
+      });
+      console.error(`Sync run ${run.id} failed; the next run will resume it.`);
+    }
+    process.exitCode = 1;
   } finally {
     console.log("Closing MongoDB connection...");
     await client.close();
@@ -0,0 +1,85 @@
+// Long-polling (getUpdates) source of Telegram updates, used instead of the
+// webhook for local development and hosts without inbound traffic.
+
+const POLL_TIMEOUT_SECONDS = 30;
+const POLL_LIMIT = 100;
+const ERROR_BACKOFF_TIME = 5000;
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a poller that feeds every update to `acceptUpdate(update)`.
+ *
+ * `loadOffset()` and `saveOffset(offset)` persist the next update_id to ask
+ * for, so a restart continues after the last update we accepted.
+ */
+function createUpdatePoller({
+  telegram,
+  acceptUpdate,
+  loadOffset,
+  saveOffset,
+  allowedUpdates = ["message", "callback_query"],
+}) {
+  let running = false;
+  let loop = null;
+  let abortController = null;
+
+  async function pollOnce(offset) {
+    abortController = new AbortController();
+    const updates = await telegram.call(
+      "getUpdates",
+      {
+        offset,
+        limit: POLL_LIMIT,
+        timeout: POLL_TIMEOUT_SECONDS,
+        allowed_updates: allowedUpdates,
+      },
+      { signal: abortController.signal }
+    );
+
+    for (const update of updates) {
+      await acceptUpdate(update);
+      offset = update.update_id + 1;
+      await saveOffset(offset);
+    }
+    return offset;
+  }
+
+  async function run() {
+    // getUpdates is refused while a webhook is set
+    await telegram.call("deleteWebhook", { drop_pending_updates: false });
+
+    let offset = await loadOffset();
+    console.log(`Polling for updates from offset ${offset ?? "start"}...`);
+
+    while (running) {
+      try {
+        offset = await pollOnce(offset);
+      } catch (error) {
+        if (!running) break;
+        console.error("Error while polling for updates:", error.message);
+        await delay(ERROR_BACKOFF_TIME);
+      }
+    }
+    console.log("Stopped polling for updates.");
+  }
+
+  function start() {
+    if (running) return loop;
+    running = true;
+    loop = run();
+    return loop;
+  }
+
+  async function stop() {
+    running = false;
+    abortController?.abort();
+    await loop;
+  }
+
+  return { start, stop };
+}
+
+module.exports = { createUpdatePoller };
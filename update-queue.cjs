@@ -0,0 +1,111 @@
+// In-process queue for Telegram updates. Updates for the same chat are handled
+// one at a time in arrival order; different chats are processed concurrently.
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 30000;
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Find the chat an update belongs to, used to keep per-chat ordering.
+ */
+function getUpdateChatId(update) {
+  return (
+    update.message?.chat?.id ??
+    update.edited_message?.chat?.id ??
+    update.callback_query?.message?.chat?.id ??
+    update.my_chat_member?.chat?.id ??
+    null
+  );
+}
+
+/**
+ * Create a queue that runs `handler(update)` for every enqueued update.
+ *
+ * Failed handlers are retried with exponential backoff, unless
+ * `shouldRetry(error)` is false (e.g. the error was already retried further
+ * down). When the last attempt fails, `onFailure(update, error)` is called.
+ * `onSuccess(update)` runs after a handler completes. `drain()` stops
+ * accepting work and resolves once every queued update has been handled.
+ */
+function createUpdateQueue({
+  handler,
+  onSuccess = async () => {},
+  onFailure = async () => {},
+  shouldRetry = () => true,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+}) {
+  const chains = new Map(); // chat id -> promise for the last queued update
+  let pending = 0;
+  let draining = false;
+
+  async function processWithRetry(update) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        await handler(update);
+        await onSuccess(update);
+        return;
+      } catch (error) {
+        if (attempt === maxAttempts || !shouldRetry(error)) {
+          console.error(
+            `Update ${update.update_id} failed after ${attempt} attempts.`
+          );
+          await onFailure(update, error);
+          return;
+        }
+
+        const backoff = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+        console.warn(
+          `Update ${update.update_id} failed on attempt ${attempt}/${maxAttempts}. Retrying in ${backoff}ms...`
+        );
+        await delay(backoff);
+      }
+    }
+  }
+
+  function enqueue(update) {
+    if (draining) {
+      throw new Error("Update queue is draining and not accepting updates.");
+    }
+
+    const chatKey = getUpdateChatId(update) ?? `update:${update.update_id}`;
+    const previous = chains.get(chatKey) || Promise.resolve();
+    pending++;
+
+    const next = previous
+      .then(() => processWithRetry(update))
+      .catch((error) => {
+        console.error(`Unexpected queue error for ${chatKey}:`, error);
+      })
+      .finally(() => {
+        pending--;
+        if (chains.get(chatKey) === next) {
+          chains.delete(chatKey);
+        }
+      });
+
+    chains.set(chatKey, next);
+  }
+
+  async function drain() {
+    draining = true;
+    console.log(`Draining update queue (${pending} pending)...`);
+    while (chains.size > 0) {
+      await Promise.all(chains.values());
+    }
+    console.log("Update queue drained.");
+  }
+
+  return {
+    enqueue,
+    drain,
+    size: () => pending,
+  };
+}
+
+module.exports = { createUpdateQueue, getUpdateChatId };
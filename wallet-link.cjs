@@ -0,0 +1,89 @@
+const crypto = require("crypto");
+const { verifyPersonalMessageSignature } = require("@mysten/sui/verify");
+const { isValidSuiAddress, normalizeSuiAddress } = require("@mysten/sui/utils");
+const store = require("./bot-store.cjs");
+
+// Wallet linking: /link issues a nonce, the user signs the link message with
+// their Sui wallet in the Mini App, and the signature is verified here before
+// the binding is written.
+
+const LINK_NONCE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * The exact personal message the wallet must sign.
+ */
+function buildLinkMessage(telegramId, nonce) {
+  return `SuiCity wants to link your wallet to Telegram account ${telegramId}.\n\nNonce: ${nonce}`;
+}
+
+/**
+ * Handle /link: issue a nonce and tell the user how to sign it.
+ */
+async function handleLinkCommand(bot, message, botUsername) {
+  const telegramId = message.from.id;
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const expiresAt = new Date(Date.now() + LINK_NONCE_TTL_MS);
+  await store.createLinkNonce(telegramId, nonce, expiresAt);
+
+  const text = `🔗 Link your Sui wallet\n\nOpen SuiCity with the button below and approve the signature request in your wallet. You will be asked to sign:\n\n${buildLinkMessage(
+    telegramId,
+    nonce
+  )}\n\nThis request expires in ${LINK_NONCE_TTL_MS / 60000} minutes.`;
+
+  await bot.sendMessage(message.chat.id, text, {
+    reply_markup: {
+      inline_keyboard: [
+        [
+          {
+            text: "Sign with wallet",
+            url: `https://t.me/${botUsername}?startapp=link_${nonce}`,
+          },
+        ],
+      ],
+    },
+  });
+}
+
+/**
+ * Verify a signed link message and bind the wallet to the Telegram account.
+ *
+ * Returns { ok: true, binding } or { ok: false, reason } with reason one of
+ * "invalid_address", "invalid_nonce", "bad_signature", "wallet_taken" or
+ * "link_in_progress". The nonce is only used up by a valid signature, so a
+ * bad request does not cost the user their link attempt.
+ */
+async function completeWalletLink({
+  telegramId,
+  nonce,
+  walletAddress,
+  signature,
+}) {
+  if (typeof walletAddress !== "string" || !isValidSuiAddress(walletAddress)) {
+    return { ok: false, reason: "invalid_address" };
+  }
+  const address = normalizeSuiAddress(walletAddress);
+
+  try {
+    await verifyPersonalMessageSignature(
+      new TextEncoder().encode(buildLinkMessage(telegramId, nonce)),
+      signature,
+      { address }
+    );
+  } catch (error) {
+    console.log(
+      `Wallet link signature rejected for Telegram user ${telegramId}: ${error.message}`
+    );
+    return { ok: false, reason: "bad_signature" };
+  }
+
+  const issued = await store.consumeLinkNonce(telegramId, nonce);
+  if (!issued) return { ok: false, reason: "invalid_nonce" };
+
+  const result = await store.linkWalletToTelegram(address, telegramId);
+  if (result.ok) {
+    console.log(`Linked wallet ${address} to Telegram user ${telegramId}`);
+  }
+  return result;
+}
+
+module.exports = { buildLinkMessage, handleLinkCommand, completeWalletLink };
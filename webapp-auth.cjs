@@ -0,0 +1,127 @@
+const crypto = require("crypto");
+
+// Telegram Mini App authentication: validates the initData string Telegram
+// hands to the Mini App and issues short-lived session tokens for our API.
+// See https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+
+const DEFAULT_MAX_AUTH_AGE_SECONDS = 60 * 60;
+const DEFAULT_SESSION_TTL_SECONDS = 15 * 60;
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+/**
+ * Validate Mini App initData against the bot token.
+ *
+ * Returns { ok: true, data } with the parsed user, auth date and start
+ * parameter, or { ok: false, reason } with reason one of "missing_hash",
+ * "bad_hash", "missing_auth_date", "expired" or "missing_user".
+ */
+function validateInitData(
+  initData,
+  botToken,
+  { maxAgeSeconds = DEFAULT_MAX_AUTH_AGE_SECONDS, now = new Date() } = {}
+) {
+  const params = new URLSearchParams(initData);
+  const hash = params.get("hash");
+  if (!hash) return { ok: false, reason: "missing_hash" };
+  params.delete("hash");
+
+  // Every received field except hash, sorted by key, as "key=value" lines
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join("\n");
+
+  const secretKey = hmac("WebAppData", botToken);
+  const expected = hmac(secretKey, dataCheckString);
+  const received = Buffer.from(hash, "hex");
+  if (
+    received.length !== expected.length ||
+    !crypto.timingSafeEqual(received, expected)
+  ) {
+    return { ok: false, reason: "bad_hash" };
+  }
+
+  const authDate = Number(params.get("auth_date"));
+  if (!authDate) return { ok: false, reason: "missing_auth_date" };
+  if (now.getTime() / 1000 - authDate > maxAgeSeconds) {
+    return { ok: false, reason: "expired" };
+  }
+
+  let user = null;
+  try {
+    user = JSON.parse(params.get("user"));
+  } catch (error) {
+    user = null;
+  }
+  if (!user?.id) return { ok: false, reason: "missing_user" };
+
+  return {
+    ok: true,
+    data: {
+      user,
+      authDate: new Date(authDate * 1000),
+      startParam: params.get("start_param"),
+      queryId: params.get("query_id"),
+    },
+  };
+}
+
+/**
+ * Create signer/verifier for session tokens of the form
+ * base64url(JSON payload) + "." + base64url(HMAC-SHA256 of the payload).
+ */
+function createSessionTokens({
+  secret,
+  ttlSeconds = DEFAULT_SESSION_TTL_SECONDS,
+}) {
+  if (!secret) {
+    throw new Error("A session secret is required to sign session tokens.");
+  }
+
+  function issue(telegramId, now = new Date()) {
+    const expiresAt = new Date(now.getTime() + ttlSeconds * 1000);
+    const payload = Buffer.from(
+      JSON.stringify({
+        sub: String(telegramId),
+        exp: Math.floor(expiresAt.getTime() / 1000),
+      })
+    ).toString("base64url");
+    const signature = hmac(secret, payload).toString("base64url");
+    return { token: `${payload}.${signature}`, expiresAt };
+  }
+
+  /**
+   * Returns the Telegram id the token was issued for, or null if the token is
+   * malformed, forged or expired.
+   */
+  function verify(token, now = new Date()) {
+    const [payload, signature] = String(token || "").split(".");
+    if (!payload || !signature) return null;
+
+    const expected = hmac(secret, payload);
+    const received = Buffer.from(signature, "base64url");
+    if (
+      received.length !== expected.length ||
+      !crypto.timingSafeEqual(received, expected)
+    ) {
+      return null;
+    }
+
+    try {
+      const { sub, exp } = JSON.parse(
+        Buffer.from(payload, "base64url").toString("utf8")
+      );
+      if (!sub || now.getTime() / 1000 > exp) return null;
+      return sub;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return { issue, verify };
+}
+
+module.exports = { validateInitData, createSessionTokens };